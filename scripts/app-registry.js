@@ -0,0 +1,130 @@
+// ================================
+// AppRegistry - Installed Apps
+// Apps register themselves here; the dock renders from it.
+// Scripts loaded later can register more apps at runtime.
+// ================================
+
+(function() {
+    'use strict';
+
+    // ================================
+    // State
+    // ================================
+
+    // id → app, in registration order (= dock order)
+    const apps = new Map();
+
+    // ================================
+    // Registration
+    // ================================
+
+    /**
+     * Add an app (replaces an app registered with the same id)
+     * @param {Object} app
+     * @param {string} app.id - Unique id; also the appId of its WindowManager windows
+     * @param {string} app.label - Name shown in the dock
+     * @param {string} app.icon - Text or emoji for the dock tile (built-in apps style
+     *        theirs in CSS through [data-app])
+     * @param {Function} app.open - Show the app; receives { newWindow } (Option-click)
+     * @param {Function} app.close - Close the app's windows
+     * @param {string} app.windowId - Window id for single-window apps whose appId differs
+     * @param {Object[]|Function} app.menuItems - Extra dock menu items ({ label, action }),
+     *        or a function returning them when the menu opens
+     * @returns {Function} Unregister function
+     */
+    function register(app) {
+        if (!app || !app.id || typeof app.open !== 'function') {
+            throw new Error('AppRegistry: app needs an id and an open() function');
+        }
+
+        const entry = {
+            label: app.id,
+            icon: null,
+            close: null,
+            windowId: null,
+            ...app
+        };
+
+        if (apps.has(entry.id)) {
+            unregister(entry.id);
+        }
+        apps.set(entry.id, entry);
+
+        document.dispatchEvent(new CustomEvent('app:register', { detail: { app: entry } }));
+
+        return () => {
+            if (apps.get(entry.id) === entry) {
+                unregister(entry.id);
+            }
+        };
+    }
+
+    function unregister(id) {
+        const app = apps.get(id);
+        if (!app) return;
+
+        apps.delete(id);
+        document.dispatchEvent(new CustomEvent('app:unregister', { detail: { app } }));
+    }
+
+    // ================================
+    // Queries
+    // ================================
+
+    function get(id) {
+        return apps.get(id) || null;
+    }
+
+    /**
+     * @returns {Object[]} Apps in registration order
+     */
+    function getAll() {
+        return [...apps.values()];
+    }
+
+    /**
+     * App a window belongs to
+     * @param {{ windowId: string, appId: string }} window - A WindowManager or window:* event detail
+     * @returns {Object|null}
+     */
+    function findByWindow({ windowId, appId }) {
+        if (apps.has(appId)) return apps.get(appId);
+        return getAll().find(app => app.windowId && app.windowId === windowId) || null;
+    }
+
+    /**
+     * WindowManager windows that belong to an app
+     * @param {string} id
+     * @returns {WindowManager[]}
+     */
+    function getWindows(id) {
+        const app = apps.get(id);
+        if (!app || typeof FocusManager === 'undefined') return [];
+
+        return FocusManager.stack.filter(manager =>
+            manager.appId === id || (app.windowId && manager.windowId === app.windowId)
+        );
+    }
+
+    /**
+     * Running = at least one window that is not closed (minimized still counts)
+     * @param {string} id
+     * @returns {boolean}
+     */
+    function isRunning(id) {
+        return getWindows(id).some(manager => !manager.isClosed());
+    }
+
+    // ================================
+    // Export API
+    // ================================
+    window.AppRegistry = {
+        register,
+        unregister,
+        get,
+        getAll,
+        findByWindow,
+        getWindows,
+        isRunning
+    };
+})();
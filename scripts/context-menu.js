@@ -0,0 +1,199 @@
+// ================================
+// ContextMenu - macOS-style Popup Menu
+// One menu at a time; arrow keys move, Enter/Space pick,
+// Escape or a click outside closes
+// ================================
+
+(function() {
+    'use strict';
+
+    // ================================
+    // Constants
+    // ================================
+    const SCOPE = 'context-menu';
+    const VIEWPORT_MARGIN = 8;      // px kept between the menu and the viewport edges
+
+    // ================================
+    // State
+    // ================================
+    let menu = null;
+    let returnFocusTo = null;       // Element focused before the menu opened
+
+    // ================================
+    // Build
+    // ================================
+
+    /**
+     * @param {Object[]} items - { label, action, disabled, checked } or { separator: true }
+     */
+    function createMenu(items) {
+        const element = document.createElement('div');
+        element.className = 'context-menu';
+        element.tabIndex = -1;
+        element.setAttribute('role', 'menu');
+
+        items.forEach(item => {
+            if (item.separator) {
+                const separator = document.createElement('div');
+                separator.className = 'context-menu-separator';
+                separator.setAttribute('role', 'separator');
+                element.appendChild(separator);
+                return;
+            }
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'context-menu-item';
+            button.tabIndex = -1;
+            button.textContent = item.label;
+            button.disabled = Boolean(item.disabled);
+
+            if (typeof item.checked === 'boolean') {
+                button.setAttribute('role', 'menuitemcheckbox');
+                button.setAttribute('aria-checked', String(item.checked));
+            } else {
+                button.setAttribute('role', 'menuitem');
+            }
+
+            button.addEventListener('click', () => {
+                close();
+                item.action();
+            });
+            // Hover moves the keyboard position too, like native menus
+            button.addEventListener('pointerenter', () => {
+                if (!button.disabled) button.focus();
+            });
+
+            element.appendChild(button);
+        });
+
+        return element;
+    }
+
+    /**
+     * Keep the menu inside the viewport
+     * @param {string} placement - 'below' puts the top edge at y, 'above' the bottom edge
+     * @param {string} align - 'start' puts the left edge at x, 'end' the right edge
+     */
+    function position(element, x, y, placement, align) {
+        const rect = element.getBoundingClientRect();
+        let left = align === 'end' ? x - rect.width : x;
+        let top = placement === 'above' ? y - rect.height : y;
+
+        left = Math.min(left, window.innerWidth - rect.width - VIEWPORT_MARGIN);
+        top = Math.min(top, window.innerHeight - rect.height - VIEWPORT_MARGIN);
+        element.style.left = Math.max(VIEWPORT_MARGIN, left) + 'px';
+        element.style.top = Math.max(VIEWPORT_MARGIN, top) + 'px';
+    }
+
+    // ================================
+    // Open / Close
+    // ================================
+
+    /**
+     * Show a menu, replacing any open one
+     * @param {Object[]} items - { label, action, disabled, checked } or { separator: true }
+     * @param {Object} options
+     * @param {number} options.x - Left edge, or right edge with align 'end' (px)
+     * @param {number} options.y - Top edge, or bottom edge with placement 'above' (px)
+     * @param {string} options.placement - 'below' (default) or 'above'
+     * @param {string} options.align - 'start' (default) or 'end'
+     * @param {string} options.label - Accessible name of the menu
+     */
+    function open(items, { x = 0, y = 0, placement = 'below', align = 'start', label = '' } = {}) {
+        close();
+
+        returnFocusTo = document.activeElement;
+        menu = createMenu(items);
+        if (label) {
+            menu.setAttribute('aria-label', label);
+        }
+        document.body.appendChild(menu);
+        position(menu, x, y, placement, align);
+
+        ShortcutManager.pushScope(SCOPE);
+        document.addEventListener('pointerdown', onOutsidePointerDown, true);
+        window.addEventListener('resize', close);
+        window.addEventListener('blur', close);
+
+        focusItem(0);
+    }
+
+    function close() {
+        if (!menu) return;
+
+        ShortcutManager.popScope(SCOPE);
+        document.removeEventListener('pointerdown', onOutsidePointerDown, true);
+        window.removeEventListener('resize', close);
+        window.removeEventListener('blur', close);
+
+        const hadFocus = menu.contains(document.activeElement);
+        menu.remove();
+        menu = null;
+
+        if (hadFocus && returnFocusTo && returnFocusTo.isConnected) {
+            returnFocusTo.focus();
+        }
+        returnFocusTo = null;
+    }
+
+    function isOpen() {
+        return menu !== null;
+    }
+
+    function onOutsidePointerDown(e) {
+        if (menu && !menu.contains(e.target)) {
+            close();
+        }
+    }
+
+    // ================================
+    // Keyboard Navigation
+    // ================================
+
+    function getEnabledItems() {
+        return menu ? [...menu.querySelectorAll('.context-menu-item:not(:disabled)')] : [];
+    }
+
+    /**
+     * Focus an enabled item by position, wrapping around
+     * @param {number} index - Position among enabled items (-1 = last)
+     */
+    function focusItem(index) {
+        const items = getEnabledItems();
+        if (items.length === 0) {
+            if (menu) menu.focus();
+            return;
+        }
+        const wrapped = (index + items.length) % items.length;
+        items[wrapped].focus();
+    }
+
+    function moveFocus(direction) {
+        const items = getEnabledItems();
+        const current = items.indexOf(document.activeElement);
+        focusItem(current === -1 ? (direction > 0 ? 0 : -1) : current + direction);
+    }
+
+    const withMenu = (action) => () => {
+        if (!menu) return false;
+        action();
+    };
+
+    const options = { scope: SCOPE, allowInInput: true };
+    ShortcutManager.register('ArrowDown', withMenu(() => moveFocus(1)), options);
+    ShortcutManager.register('ArrowUp', withMenu(() => moveFocus(-1)), options);
+    ShortcutManager.register('Home', withMenu(() => focusItem(0)), options);
+    ShortcutManager.register('End', withMenu(() => focusItem(-1)), options);
+    ShortcutManager.register('Escape', withMenu(close), options);
+    ShortcutManager.register('Tab', withMenu(close), options);
+
+    // ================================
+    // Export API
+    // ================================
+    window.ContextMenu = {
+        open,
+        close,
+        isOpen
+    };
+})();
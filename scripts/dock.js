@@ -10,409 +10,939 @@
     // DOM Elements
     // ================================
     let dockContainer = null;
-    let dockProfile = null;
-    let dockTerminal = null;
-    let dockVampire = null;
-    let terminalPanel = null;
-    let panelOutput = null;
-    let panelInput = null;
+    let dockList = null;
+    let dockDivider = null;          // Separates app icons from minimized windows
 
-    // Window Manager instance
-    let terminalWindowManager = null;
+    // app id → dock item
+    let dockItems = {};
 
+    // window id → thumbnail of a minimized window
+    let thumbnails = {};
+
+    // ================================
+    // Preferences (localStorage)
     // ================================
-    // Terminal State
+    const PREFS_KEY = 'dockPrefs';
+    const POSITIONS = ['left', 'bottom', 'right'];
+
+    // order: app ids as the user arranged them (unknown apps go last)
+    // keep: app id → false for apps only shown while running (default: kept)
+    let prefs = {
+        order: [],
+        position: 'bottom',
+        autoHide: false,
+        keep: {}
+    };
+
+    // app id → badge text / bounce mode ('once' | 'critical'), kept across re-renders
+    let badges = {};
+    let attention = {};
+
+    // With reduced motion there is no bounce (and no animationend) - a one-shot
+    // request ends after the time the bounce would take (3 × 0.6s in dock.css)
+    const BOUNCE_DURATION = 1800;
+    let attentionTimers = {};        // app id → timeout ending a one-shot request
+
     // ================================
-    let panelCommandHistory = [];
-    let panelHistoryIndex = -1;
-    const MAX_HISTORY = 50;
+    // Magnification
+    // ================================
+    const MAGNIFY_MAX_SCALE = 1.6;   // Scale of the icon right under the pointer
+    const MAGNIFY_RANGE = 140;       // px from the pointer where the effect fades out
+
+    let magnifyCenters = [];         // [{ item, center }] at rest size, cached on enter
+    let magnifyFrame = null;
+    let magnifyPointer = 0;          // Pointer coordinate along the dock axis
+
+    // ================================
+    // Reordering & Auto-hide
+    // ================================
+    const DRAG_THRESHOLD = 5;        // px the pointer moves before a press becomes a drag
+    const AUTOHIDE_EDGE = 4;         // px from the screen edge that reveals a hidden dock
+    const AUTOHIDE_DELAY = 400;      // ms the dock lingers after the pointer leaves
+    const MENU_GAP = 8;              // px between a dock item and its menu
+
+    let reorder = null;              // { item, pointerId, startX, startY, dragging }
+    let suppressNextClick = false;   // A drag just ended - its click must not open the app
+    let hideTimer = null;
+
+    // ================================
+    // Minimized Windows
+    // ================================
+    const THUMBNAIL_SIZE = 44;       // px, longest side of a snapshot at rest
 
     // ================================
     // Initialize
     // ================================
     function init() {
         dockContainer = document.getElementById('dock-container');
-        dockProfile = document.getElementById('dock-profile');
-        dockTerminal = document.getElementById('dock-terminal');
-        dockVampire = document.getElementById('dock-vampire');
-
-        createTerminalPanel();
-        attachEventListeners();
+        dockList = dockContainer && dockContainer.querySelector('.dock');
+        if (!dockList) return;
+
+        loadPrefs();
+        applyPosition();
+        applyAutoHide();
+
+        dockDivider = document.createElement('div');
+        dockDivider.className = 'dock-divider';
+        dockDivider.setAttribute('aria-hidden', 'true');
+        dockList.appendChild(dockDivider);
+
+        AppRegistry.getAll().forEach(addDockItem);
+        initRegistryListeners();
+        initDockMenu();
+        initReordering();
+        initAutoHide();
+        initMagnification();
+        initAttentionListeners();
         initWindowEventListeners();
+        initThumbnailListeners();
         waitForLoginComplete();
     }
 
     // ================================
-    // Window Events → Dock State (Centralized)
+    // Preferences
     // ================================
-    function initWindowEventListeners() {
-        const dockItems = {
-            'profile': dockProfile,
-            'terminal': dockTerminal,
-            'vampire': dockVampire
-        };
 
-        // window:minimize → Keep indicator (app is still "open", just minimized)
-        document.addEventListener('window:minimize', (e) => {
-            // Do nothing - indicator stays active
+    function loadPrefs() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(PREFS_KEY));
+        } catch (e) {
+            saved = null;
+        }
+        if (!saved) return;
+
+        if (Array.isArray(saved.order)) prefs.order = saved.order.filter(id => typeof id === 'string');
+        if (POSITIONS.includes(saved.position)) prefs.position = saved.position;
+        if (typeof saved.autoHide === 'boolean') prefs.autoHide = saved.autoHide;
+        if (saved.keep && typeof saved.keep === 'object') prefs.keep = saved.keep;
+    }
+
+    function savePrefs() {
+        try {
+            localStorage.setItem(PREFS_KEY, JSON.stringify(prefs));
+        } catch (e) {
+            // Storage full or unavailable - the dock still works, just not remembered
+        }
+    }
+
+    // ================================
+    // Render Dock Items (from AppRegistry)
+    // ================================
+    function createDockItem(app) {
+        const item = document.createElement('div');
+        item.className = 'dock-item';
+        item.id = `dock-${app.id}`;
+        item.dataset.app = app.id;
+        item.setAttribute('role', 'button');
+        item.setAttribute('tabindex', '0');
+        item.setAttribute('aria-label', app.label);
+
+        const icon = document.createElement('div');
+        icon.className = 'dock-icon';
+        if (app.icon) {
+            icon.classList.add('dock-icon-custom');
+            icon.textContent = app.icon;
+        }
+
+        const label = document.createElement('span');
+        label.className = 'dock-label';
+        label.textContent = app.label;
+
+        item.append(icon, label);
+
+        // Click abre la app (Option-click: ventana nueva, para apps que la soportan)
+        item.addEventListener('click', (e) => {
+            app.open({ newWindow: e.altKey });
+        });
+
+        // Click derecho: menú contextual con las acciones de la app
+        item.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            openDockMenu(app, item);
+        });
+
+        // Teclado: Enter / Space activan el item igual que un click (Option incluido),
+        // Menu key / Shift+F10 abren el menú contextual
+        item.addEventListener('keydown', (e) => {
+            if (e.key === 'ContextMenu' || (e.key === 'F10' && e.shiftKey)) {
+                e.preventDefault();
+                openDockMenu(app, item);
+                return;
+            }
+            if (e.key !== 'Enter' && e.key !== ' ') return;
+            e.preventDefault();
+            item.dispatchEvent(new MouseEvent('click', { bubbles: true, altKey: e.altKey }));
         });
 
-        document.addEventListener('window:restore', (e) => {
-            const item = dockItems[e.detail.windowId];
-            if (item) item.classList.add('active');
+        return item;
+    }
+
+    function addDockItem(app) {
+        const item = createDockItem(app);
+        dockItems[app.id] = item;
+        insertDockItem(item);
+        updateDockItem(app.id);
+        renderBadge(app.id);
+        renderAttention(app.id);
+    }
+
+    function removeDockItem(app) {
+        const item = dockItems[app.id];
+        if (!item) return;
+
+        item.remove();
+        delete dockItems[app.id];
+    }
+
+    /**
+     * Position in the user's order, Infinity for apps never arranged
+     */
+    function getOrderIndex(appId) {
+        const index = prefs.order.indexOf(appId);
+        return index === -1 ? Infinity : index;
+    }
+
+    /**
+     * App icons in dock order (without the divider and thumbnails)
+     */
+    function getDockItemElements() {
+        return [...dockList.children].filter(element => element.classList.contains('dock-item'));
+    }
+
+    // Saved order first, then the rest in registration order
+    function insertDockItem(item) {
+        const rank = getOrderIndex(item.dataset.app);
+        const next = getDockItemElements().find(other => getOrderIndex(other.dataset.app) > rank);
+        dockList.insertBefore(item, next || dockDivider);
+    }
+
+    // Apps registered after the dock was built (e.g. third-party scripts)
+    function initRegistryListeners() {
+        document.addEventListener('app:register', (e) => {
+            removeDockItem(e.detail.app);
+            addDockItem(e.detail.app);
         });
 
-        document.addEventListener('window:close', (e) => {
-            const item = dockItems[e.detail.windowId];
-            if (item) item.classList.remove('active');
+        document.addEventListener('app:unregister', (e) => {
+            removeDockItem(e.detail.app);
         });
     }
 
     // ================================
-    // Wait for Login
+    // Badges & Attention
     // ================================
-    function waitForLoginComplete() {
-        const loginScreen = document.getElementById('login-screen');
 
-        if (!loginScreen) {
-            showDock();
-            return;
+    /**
+     * Show a count (or short text) on an app's dock icon
+     * @param {string} appId
+     * @param {number|string} value - 0, '' or null removes the badge
+     */
+    function setBadge(appId, value) {
+        if (value === 0 || value === null || value === undefined || value === '') {
+            delete badges[appId];
+        } else {
+            badges[appId] = typeof value === 'number' && value > 99 ? '99+' : String(value);
         }
+        renderBadge(appId);
+    }
 
-        const observer = new MutationObserver((mutations) => {
-            mutations.forEach((mutation) => {
-                mutation.removedNodes.forEach((node) => {
-                    if (node.id === 'login-screen') {
-                        observer.disconnect();
-                        setTimeout(showDock, 300);
-                    }
-                });
-            });
+    function renderBadge(appId) {
+        const item = dockItems[appId];
+        if (!item) return;
+
+        const icon = item.querySelector('.dock-icon');
+        let badge = icon.querySelector('.dock-badge');
+        const value = badges[appId];
+
+        if (value === undefined) {
+            if (badge) badge.remove();
+        } else {
+            if (!badge) {
+                badge = document.createElement('span');
+                badge.className = 'dock-badge';
+                badge.setAttribute('aria-hidden', 'true');
+                icon.appendChild(badge);
+            }
+            badge.textContent = value;
+        }
+
+        const app = AppRegistry.get(appId);
+        const label = app ? app.label : appId;
+        item.setAttribute('aria-label', value === undefined ? label : `${label}, ${value} new`);
+    }
+
+    /**
+     * Bounce an app's dock icon until the user looks at it
+     * @param {string} appId
+     * @param {Object} options
+     * @param {boolean} options.critical - Keep bouncing until the app is focused (default: bounce once)
+     */
+    function requestAttention(appId, { critical = false } = {}) {
+        clearAttentionTimer(appId);
+        attention[appId] = critical ? 'critical' : 'once';
+        renderAttention(appId);
+
+        if (!critical && window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+            attentionTimers[appId] = setTimeout(() => cancelAttention(appId), BOUNCE_DURATION);
+        }
+    }
+
+    function cancelAttention(appId) {
+        clearAttentionTimer(appId);
+        if (!attention[appId]) return;
+        delete attention[appId];
+        renderAttention(appId);
+    }
+
+    function clearAttentionTimer(appId) {
+        if (!attentionTimers[appId]) return;
+        clearTimeout(attentionTimers[appId]);
+        delete attentionTimers[appId];
+    }
+
+    function renderAttention(appId) {
+        const item = dockItems[appId];
+        if (!item) return;
+
+        const mode = attention[appId];
+        item.classList.remove('bouncing', 'bouncing-critical');
+        if (!mode) return;
+
+        // Force a reflow so a repeated request restarts the animation
+        void item.offsetWidth;
+        item.classList.add(mode === 'critical' ? 'bouncing-critical' : 'bouncing');
+    }
+
+    function initAttentionListeners() {
+        // A one-shot bounce drops its state when the animation ends
+        dockList.addEventListener('animationend', (e) => {
+            const item = e.target.closest('.dock-item');
+            if (item && attention[item.dataset.app] === 'once') {
+                cancelAttention(item.dataset.app);
+            }
         });
 
-        observer.observe(document.body, { childList: true });
+        // Looking at the app ends the request
+        document.addEventListener('window:focus', (e) => {
+            const app = AppRegistry.findByWindow(e.detail);
+            if (app) cancelAttention(app.id);
+        });
     }
 
     // ================================
-    // Show Dock
+    // Context Menu
     // ================================
-    function showDock() {
-        if (dockContainer) {
-            dockContainer.classList.add('visible');
-            // Profile is active by default - dispatch event to activate dock indicator
-            document.dispatchEvent(new CustomEvent('window:restore', {
-                detail: { windowId: 'profile' }
-            }));
+
+    function isKeptInDock(appId) {
+        return prefs.keep[appId] !== false;
+    }
+
+    function setKeptInDock(appId, kept) {
+        if (kept) {
+            delete prefs.keep[appId];
+        } else {
+            prefs.keep[appId] = false;
+        }
+        savePrefs();
+        updateDockItem(appId);
+    }
+
+    /**
+     * Hiding toggle and screen position, shared by the dock and item menus
+     */
+    function getDockSettingsItems() {
+        return [
+            { label: prefs.autoHide ? 'Turn Hiding Off' : 'Turn Hiding On', action: () => setAutoHide(!prefs.autoHide) },
+            { separator: true },
+            { label: 'Position on Left', checked: prefs.position === 'left', action: () => setPosition('left') },
+            { label: 'Position on Bottom', checked: prefs.position === 'bottom', action: () => setPosition('bottom') },
+            { label: 'Position on Right', checked: prefs.position === 'right', action: () => setPosition('right') }
+        ];
+    }
+
+    /**
+     * Open/Show, Hide, Quit, the app's own items, Keep in Dock, then the dock settings
+     */
+    function getDockMenuItems(app) {
+        const windows = AppRegistry.getWindows(app.id);
+        const running = windows.some(manager => !manager.isClosed());
+        const shown = windows.filter(manager => manager.isOpen());
+
+        const items = [
+            { label: running ? 'Show' : 'Open', action: () => app.open() },
+            { label: 'Hide', disabled: shown.length === 0, action: () => shown.forEach(manager => manager.minimize()) },
+            { label: 'Quit', disabled: !running || !app.close, action: () => app.close() }
+        ];
+
+        const appItems = typeof app.menuItems === 'function' ? app.menuItems() : app.menuItems;
+        if (appItems && appItems.length > 0) {
+            items.push({ separator: true }, ...appItems);
         }
+
+        items.push(
+            { separator: true },
+            { label: 'Keep in Dock', checked: isKeptInDock(app.id), action: () => setKeptInDock(app.id, !isKeptInDock(app.id)) },
+            { separator: true },
+            ...getDockSettingsItems()
+        );
+        return items;
     }
 
+    /**
+     * Menu anchor beside an element, on the side facing the screen center
+     */
+    function getMenuAnchor(element) {
+        const rect = element.getBoundingClientRect();
+        switch (prefs.position) {
+            case 'left':
+                return { x: rect.right + MENU_GAP, y: rect.top };
+            case 'right':
+                return { x: rect.left - MENU_GAP, y: rect.top, align: 'end' };
+            default:
+                return { x: rect.left, y: rect.top - MENU_GAP, placement: 'above' };
+        }
+    }
+
+    function openDockMenu(app, item) {
+        ContextMenu.open(getDockMenuItems(app), {
+            ...getMenuAnchor(item),
+            label: app.label
+        });
+    }
+
+    // Right-click on the dock itself (between items): settings only
+    function initDockMenu() {
+        dockList.addEventListener('contextmenu', (e) => {
+            if (e.target.closest('.dock-item')) return;
+            e.preventDefault();
+            ContextMenu.open(getDockSettingsItems(), {
+                ...getMenuAnchor(dockList),
+                label: 'Dock'
+            });
+        });
+    }
+
+    // ================================
+    // Position & Auto-hide
     // ================================
-    // Create Terminal Panel
-    // ================================
-    function createTerminalPanel() {
-        terminalPanel = document.createElement('div');
-        terminalPanel.className = 'terminal-panel';
-        terminalPanel.id = 'terminal-panel';
-        terminalPanel.innerHTML = `
-            <div class="terminal-panel-titlebar">
-                <div class="traffic-lights">
-                    <span class="light red"></span>
-                    <span class="light yellow"></span>
-                    <span class="light green"></span>
-                </div>
-                <span class="terminal-panel-title">pablo@portfolio — terminal</span>
-            </div>
-            <div class="terminal-panel-content">
-                <div class="panel-output" id="panel-output">
-                    <div class="panel-line">
-                        <span class="output-text">Welcome to interactive portfolio!</span>
-                    </div>
-                    <div class="panel-line">
-                        <span class="output-text">Type <span class="cmd-highlight">help</span> to see available commands.</span>
-                    </div>
-                    <div class="panel-line">
-                        <span class="output-text">&nbsp;</span>
-                    </div>
-                </div>
-                <div class="panel-input-line">
-                    <span class="prompt">pablo@portfolio:~$</span>
-                    <input type="text" id="panel-input" autocomplete="off" spellcheck="false" aria-label="Terminal command input">
-                </div>
-            </div>
-        `;
-
-        document.body.appendChild(terminalPanel);
-        panelOutput = document.getElementById('panel-output');
-        panelInput = document.getElementById('panel-input');
-    }
-
-    // ================================
-    // Event Listeners
-    // ================================
-    function attachEventListeners() {
-        // Dock Profile click - restaurar ventana
-        dockProfile.addEventListener('click', () => {
-            // Use global profileWindowManager from index.js
-            // restore() will dispatch window:restore event → dock indicator updated automatically
-            if (typeof profileWindowManager !== 'undefined' && profileWindowManager) {
-                profileWindowManager.restore();
+
+    /**
+     * Move the dock to a screen edge
+     * @param {string} position - 'left', 'bottom' or 'right'
+     */
+    function setPosition(position) {
+        if (!POSITIONS.includes(position) || position === prefs.position) return;
+        prefs.position = position;
+        savePrefs();
+        applyPosition();
+    }
+
+    function getPosition() {
+        return prefs.position;
+    }
+
+    function applyPosition() {
+        resetMagnification();
+        POSITIONS.forEach(position => {
+            dockContainer.classList.toggle(`dock-${position}`, position === prefs.position);
+        });
+    }
+
+    function isVertical() {
+        return prefs.position !== 'bottom';
+    }
+
+    /**
+     * Keep the dock off-screen until the pointer reaches its screen edge
+     * @param {boolean} autoHide
+     */
+    function setAutoHide(autoHide) {
+        prefs.autoHide = Boolean(autoHide);
+        savePrefs();
+        applyAutoHide();
+    }
+
+    function isAutoHide() {
+        return prefs.autoHide;
+    }
+
+    function applyAutoHide() {
+        clearTimeout(hideTimer);
+        hideTimer = null;
+        dockContainer.classList.toggle('autohide', prefs.autoHide);
+        dockContainer.classList.remove('revealed');
+    }
+
+    function isAtDockEdge(e) {
+        switch (prefs.position) {
+            case 'left':
+                return e.clientX <= AUTOHIDE_EDGE;
+            case 'right':
+                return e.clientX >= window.innerWidth - AUTOHIDE_EDGE;
+            default:
+                return e.clientY >= window.innerHeight - AUTOHIDE_EDGE;
+        }
+    }
+
+    function reveal() {
+        clearTimeout(hideTimer);
+        hideTimer = null;
+        dockContainer.classList.add('revealed');
+    }
+
+    function scheduleHide() {
+        if (hideTimer !== null || !dockContainer.classList.contains('revealed')) return;
+        hideTimer = setTimeout(() => {
+            hideTimer = null;
+            // Stay while the user is still working with the dock
+            const busy = ContextMenu.isOpen() || (reorder && reorder.dragging) ||
+                dockContainer.contains(document.activeElement);
+            if (!busy) {
+                dockContainer.classList.remove('revealed');
             }
-            // Update menubar
-            if (typeof MenubarManager !== 'undefined') {
-                MenubarManager.setActiveApp('Profile');
+        }, AUTOHIDE_DELAY);
+    }
+
+    function initAutoHide() {
+        document.addEventListener('pointermove', (e) => {
+            if (!prefs.autoHide || !dockContainer.classList.contains('visible')) return;
+
+            if (isAtDockEdge(e) || dockContainer.contains(e.target)) {
+                reveal();
+            } else {
+                scheduleHide();
             }
         });
 
-        // Dock Terminal click - abrir terminal
-        dockTerminal.addEventListener('click', () => {
-            openTerminal();
-            // Update menubar
-            if (typeof MenubarManager !== 'undefined') {
-                MenubarManager.setActiveApp('Terminal');
-            }
+        // Keyboard users tabbing into the dock see it too
+        dockContainer.addEventListener('focusin', () => {
+            if (prefs.autoHide) reveal();
         });
+        dockContainer.addEventListener('focusout', () => {
+            if (prefs.autoHide) scheduleHide();
+        });
+    }
 
-        // Dock Vampire click - abrir juego
-        if (dockVampire) {
-            dockVampire.addEventListener('click', () => {
-                if (typeof openVampireGame === 'function') {
-                    openVampireGame();
-                }
-                // Update menubar
-                if (typeof MenubarManager !== 'undefined') {
-                    MenubarManager.setActiveApp('Vampire Survivors');
-                }
-            });
+    // ================================
+    // Drag to Reorder
+    // ================================
+
+    function initReordering() {
+        dockList.addEventListener('pointerdown', (e) => {
+            const item = e.target.closest('.dock-item');
+            if (!item || e.button !== 0 || reorder) return;
+
+            reorder = { item, pointerId: e.pointerId, startX: e.clientX, startY: e.clientY, dragging: false };
+            document.addEventListener('pointermove', onReorderMove);
+            document.addEventListener('pointerup', onReorderEnd);
+            document.addEventListener('pointercancel', onReorderEnd);
+        });
+
+        // The click that ends a drag doesn't open the app
+        dockList.addEventListener('click', (e) => {
+            if (!suppressNextClick) return;
+            suppressNextClick = false;
+            e.preventDefault();
+            e.stopPropagation();
+        }, true);
+    }
+
+    function onReorderMove(e) {
+        if (e.pointerId !== reorder.pointerId) return;
+        const { item } = reorder;
+
+        if (!reorder.dragging) {
+            if (Math.hypot(e.clientX - reorder.startX, e.clientY - reorder.startY) < DRAG_THRESHOLD) return;
+            reorder.dragging = true;
+            resetMagnification();
+            item.classList.add('dragging');
+            dockList.classList.add('reordering');
         }
 
-        // Close with Escape
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape' && terminalPanel.classList.contains('active')) {
-                closeTerminal();
-            }
+        // Drop in front of the first item whose center is past the pointer
+        const pointer = isVertical() ? e.clientY : e.clientX;
+        const target = getDockItemElements().find(other => {
+            if (other === item || other.classList.contains('hidden')) return false;
+            const rect = other.getBoundingClientRect();
+            const center = isVertical() ? rect.top + rect.height / 2 : rect.left + rect.width / 2;
+            return pointer < center;
+        }) || dockDivider;
+
+        if (item.nextElementSibling !== target) {
+            dockList.insertBefore(item, target);
+        }
+    }
+
+    function onReorderEnd(e) {
+        if (e.pointerId !== reorder.pointerId) return;
+
+        document.removeEventListener('pointermove', onReorderMove);
+        document.removeEventListener('pointerup', onReorderEnd);
+        document.removeEventListener('pointercancel', onReorderEnd);
+
+        const { item, dragging } = reorder;
+        reorder = null;
+        if (!dragging) return;
+
+        item.classList.remove('dragging');
+        dockList.classList.remove('reordering');
+        saveOrder();
+
+        // No click follows a cancelled or off-item release - don't eat the next one
+        suppressNextClick = e.type === 'pointerup';
+        setTimeout(() => {
+            suppressNextClick = false;
+        }, 0);
+    }
+
+    // Apps not registered right now keep their place at the end
+    function saveOrder() {
+        const order = getDockItemElements().map(item => item.dataset.app);
+        prefs.order = [...order, ...prefs.order.filter(id => !order.includes(id))];
+        savePrefs();
+    }
+
+    // ================================
+    // Magnification (pointer devices only)
+    // ================================
+
+    function canMagnify(e) {
+        if (e.pointerType !== 'mouse' && e.pointerType !== 'pen') return false;
+        if (!window.matchMedia('(hover: hover) and (pointer: fine)').matches) return false;
+        if (reorder && reorder.dragging) return false;
+        return !window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    /**
+     * Cosine falloff: full scale under the pointer, 1 at MAGNIFY_RANGE and beyond
+     * @param {number} distance - px between pointer and icon center
+     * @returns {number}
+     */
+    function getMagnifyScale(distance) {
+        if (distance >= MAGNIFY_RANGE) return 1;
+        const falloff = Math.cos((distance / MAGNIFY_RANGE) * (Math.PI / 2));
+        return 1 + (MAGNIFY_MAX_SCALE - 1) * falloff;
+    }
+
+    // Distances use the rest layout, so icons don't push their own centers around
+    // App icons and minimized-window thumbnails
+    function getMagnifiedElements() {
+        return [...dockList.children].filter(element => element !== dockDivider);
+    }
+
+    function cacheMagnifyCenters() {
+        magnifyCenters = getMagnifiedElements().map(item => {
+            const rect = item.getBoundingClientRect();
+            const center = isVertical() ? rect.top + rect.height / 2 : rect.left + rect.width / 2;
+            return { item, center };
         });
+    }
+
+    function applyMagnification() {
+        magnifyFrame = null;
+        magnifyCenters.forEach(({ item, center }) => {
+            const scale = getMagnifyScale(Math.abs(magnifyPointer - center));
+            item.style.setProperty('--dock-scale', scale.toFixed(3));
+        });
+    }
 
-        // Terminal input
-        panelInput.addEventListener('keydown', handlePanelInput);
-
-        // Initialize Window Manager for terminal
-        initTerminalWindow();
-    }
-
-    // ================================
-    // Terminal Window Manager
-    // ================================
-    function initTerminalWindow() {
-        const titlebar = terminalPanel.querySelector('.terminal-panel-titlebar');
-        const lights = terminalPanel.querySelectorAll('.light');
-
-        terminalWindowManager = new WindowManager({
-            element: terminalPanel,
-            titlebar: titlebar,
-            windowId: 'terminal',
-            preventDragOn: ['.traffic-lights'],
-            trafficLights: {
-                close: lights[0],
-                minimize: lights[1],
-                maximize: lights[2]
-            },
-            onClose: () => {
-                // Position reset automatically by close()
-                terminalPanel.classList.remove('active');
-                // Dock indicator updated automatically via window:close event
-                // Update menubar - check if Profile is visible
-                if (typeof MenubarManager !== 'undefined') {
-                    const profileWindow = document.querySelector('.iterm-window');
-                    const profileVisible = profileWindow &&
-                        !profileWindow.classList.contains('minimized') &&
-                        profileWindow.classList.contains('visible');
-                    MenubarManager.setActiveApp(profileVisible ? 'Profile' : 'Pablo Lagger');
-                }
-            },
-            onMaximize: () => {
-                panelInput.focus();
-            },
-            onRestore: () => {
-                panelInput.focus();
+    function resetMagnification() {
+        if (magnifyFrame !== null) {
+            cancelAnimationFrame(magnifyFrame);
+            magnifyFrame = null;
+        }
+        dockList.classList.remove('magnifying');
+        getMagnifiedElements().forEach(item => item.style.removeProperty('--dock-scale'));
+        magnifyCenters = [];
+    }
+
+    function initMagnification() {
+        dockList.addEventListener('pointerenter', (e) => {
+            if (!canMagnify(e)) return;
+            cacheMagnifyCenters();
+            dockList.classList.add('magnifying');
+        });
+
+        dockList.addEventListener('pointermove', (e) => {
+            if (!canMagnify(e)) return;
+            if (magnifyCenters.length === 0) {
+                cacheMagnifyCenters();
+                dockList.classList.add('magnifying');
+            }
+            magnifyPointer = isVertical() ? e.clientY : e.clientX;
+            if (magnifyFrame === null) {
+                magnifyFrame = requestAnimationFrame(applyMagnification);
             }
         });
+
+        dockList.addEventListener('pointerleave', resetMagnification);
     }
 
     // ================================
-    // Terminal Open/Close
+    // Window Events → Dock State (Centralized)
     // ================================
-    function openTerminal() {
-        if (terminalWindowManager && terminalWindowManager.isMinimized()) {
-            terminalWindowManager.restore();
+
+    // Indicator on while the app has any window that is not closed
+    // (minimized windows still count), plus a count for apps with several windows
+    function updateDockItem(appId) {
+        const item = dockItems[appId];
+        if (!item) return;
+
+        const windows = AppRegistry.getWindows(appId);
+        const running = windows.filter(manager => !manager.isClosed()).length;
+
+        item.classList.toggle('active', running > 0);
+        // Apps not kept in the dock only show while running
+        item.classList.toggle('hidden', running === 0 && !isKeptInDock(appId));
+        if (running > 1) {
+            item.dataset.count = running;
         } else {
-            // If not minimized, manually dispatch restore event for dock indicator
-            document.dispatchEvent(new CustomEvent('window:restore', {
-                detail: { windowId: 'terminal' }
-            }));
+            delete item.dataset.count;
         }
-        terminalPanel.classList.add('active');
-        // Dock indicator updated automatically via window:restore event
-        // Delay focus to ensure panel is visible after CSS transition
-        setTimeout(() => panelInput.focus(), 50);
+
+        updateDockSpace(item, windows);
     }
 
-    function closeTerminal() {
-        if (terminalWindowManager) {
-            terminalWindowManager.close();
+    // Space number(s) the app's windows live on, dimmed while none is on the current Space
+    function updateDockSpace(item, windows) {
+        if (typeof SpacesManager === 'undefined') return;
+
+        const spaces = [...new Set(windows.map(manager => manager.space))].sort((a, b) => a - b);
+
+        if (spaces.length > 0) {
+            item.dataset.space = spaces.map(space => space + 1).join(',');
+        } else {
+            delete item.dataset.space;
         }
+        item.classList.toggle('other-space', spaces.length > 0 && !spaces.includes(SpacesManager.getCurrent()));
+    }
+
+    function updateAllDockItems() {
+        Object.keys(dockItems).forEach(updateDockItem);
+    }
+
+    function initWindowEventListeners() {
+        const onWindowEvent = (e) => {
+            const app = AppRegistry.findByWindow(e.detail);
+            if (app) updateDockItem(app.id);
+        };
+
+        // No window:minimize listener - the indicator stays (app is still "open", just minimized)
+        document.addEventListener('window:open', onWindowEvent);
+        document.addEventListener('window:restore', onWindowEvent);
+        document.addEventListener('window:close', onWindowEvent);
+        document.addEventListener('window:space', onWindowEvent);
+
+        document.addEventListener('spaces:change', updateAllDockItems);
     }
 
     // ================================
-    // Terminal Input
+    // Minimized Window Thumbnails
     // ================================
-    function handlePanelInput(e) {
-        if (e.key === 'Enter') {
-            processCommand(panelInput.value);
-            panelInput.value = '';
-        } else if (e.key === 'ArrowUp') {
-            e.preventDefault();
-            if (panelHistoryIndex > 0) {
-                panelHistoryIndex--;
-                panelInput.value = panelCommandHistory[panelHistoryIndex];
+
+    function getWindowTitle(manager) {
+        const title = manager.titleElement && manager.titleElement.textContent.trim();
+        return title || manager.appName || manager.windowId;
+    }
+
+    /**
+     * Scaled-down copy of a window as it looks right now
+     * @param {WindowManager} manager
+     * @returns {HTMLElement}
+     */
+    function createSnapshot(manager) {
+        const source = manager.element;
+        const width = source.offsetWidth;
+        const height = source.offsetHeight;
+        const snapshot = source.cloneNode(true);
+
+        // Only a picture: no duplicate ids, nothing focusable or announced
+        snapshot.removeAttribute('id');
+        snapshot.querySelectorAll('[id]').forEach(element => element.removeAttribute('id'));
+        snapshot.setAttribute('aria-hidden', 'true');
+        snapshot.inert = true;
+
+        // Drop state classes (minimized, maximized, other Space...) that move or hide it
+        Object.values(manager.classes).forEach(className => snapshot.classList.remove(className));
+        snapshot.classList.remove('mission-control-item');
+
+        // Inline !important also beats state rules like .maximized { width: 100vw !important }
+        const fit = width && height ? THUMBNAIL_SIZE / Math.max(width, height) : 0;
+        const style = {
+            position: 'absolute',
+            left: '50%',
+            top: '50%',
+            right: 'auto',
+            bottom: 'auto',
+            margin: '0',
+            'z-index': 'auto',
+            width: `${width}px`,
+            height: `${height}px`,
+            opacity: '1',
+            visibility: 'visible',
+            transition: 'none',
+            animation: 'none',
+            'pointer-events': 'none',
+            '--snapshot-fit': String(fit),
+            'transform-origin': 'center',
+            transform: 'translate(-50%, -50%) scale(calc(var(--snapshot-fit) * var(--dock-scale, 1)))'
+        };
+        Object.entries(style).forEach(([property, value]) => {
+            snapshot.style.setProperty(property, value, 'important');
+        });
+
+        // cloneNode copies canvas size but not pixels (e.g. the game)
+        const canvases = source.querySelectorAll('canvas');
+        snapshot.querySelectorAll('canvas').forEach((canvas, index) => {
+            try {
+                canvas.getContext('2d').drawImage(canvases[index], 0, 0);
+            } catch (e) {
+                // Unreadable canvas - the thumbnail shows it blank
             }
-        } else if (e.key === 'ArrowDown') {
+        });
+
+        return snapshot;
+    }
+
+    // Scroll offsets only apply once the copy is in the document
+    function copyScrollPositions(source, snapshot) {
+        const copies = snapshot.querySelectorAll('*');
+        source.querySelectorAll('*').forEach((element, index) => {
+            if (element.scrollTop || element.scrollLeft) {
+                copies[index].scrollTop = element.scrollTop;
+                copies[index].scrollLeft = element.scrollLeft;
+            }
+        });
+    }
+
+    function addThumbnail(manager) {
+        removeThumbnail(manager.windowId);
+
+        const title = getWindowTitle(manager);
+        const thumbnail = document.createElement('div');
+        thumbnail.className = 'dock-thumbnail';
+        thumbnail.dataset.window = manager.windowId;
+        thumbnail.setAttribute('role', 'button');
+        thumbnail.setAttribute('tabindex', '0');
+        thumbnail.setAttribute('aria-label', `Restore ${title}`);
+
+        const preview = document.createElement('div');
+        preview.className = 'dock-thumbnail-preview';
+        const snapshot = createSnapshot(manager);
+        preview.appendChild(snapshot);
+
+        const label = document.createElement('span');
+        label.className = 'dock-label';
+        label.textContent = title;
+
+        thumbnail.append(preview, label);
+
+        // Click restaura justo esta ventana (no la app entera)
+        thumbnail.addEventListener('click', () => manager.restore());
+        thumbnail.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter' && e.key !== ' ') return;
             e.preventDefault();
-            if (panelHistoryIndex < panelCommandHistory.length - 1) {
-                panelHistoryIndex++;
-                panelInput.value = panelCommandHistory[panelHistoryIndex];
-            } else {
-                panelHistoryIndex = panelCommandHistory.length;
-                panelInput.value = '';
+            manager.restore();
+        });
+
+        // Newest minimized window last, like macOS
+        dockList.appendChild(thumbnail);
+        copyScrollPositions(manager.element, snapshot);
+        thumbnails[manager.windowId] = thumbnail;
+    }
+
+    function removeThumbnail(windowId) {
+        const thumbnail = thumbnails[windowId];
+        if (!thumbnail) return;
+
+        thumbnail.remove();
+        delete thumbnails[windowId];
+    }
+
+    /**
+     * One thumbnail per minimized (not closed) window, e.g. windows restored minimized on load
+     */
+    function syncThumbnails() {
+        if (typeof FocusManager === 'undefined') return;
+
+        FocusManager.stack.forEach(manager => {
+            const minimized = manager.isMinimized() && !manager.isClosed();
+            if (minimized && !thumbnails[manager.windowId]) {
+                addThumbnail(manager);
+            } else if (!minimized) {
+                removeThumbnail(manager.windowId);
             }
-        }
+        });
     }
 
-    function processCommand(input) {
-        const cmd = input.trim().toLowerCase();
-        if (cmd === '') return;
+    function initThumbnailListeners() {
+        document.addEventListener('window:minimize', (e) => {
+            const manager = FocusManager.stack.find(item => item.windowId === e.detail.windowId);
+            if (manager) addThumbnail(manager);
+        });
 
-        panelCommandHistory.push(input);
-        if (panelCommandHistory.length > MAX_HISTORY) {
-            panelCommandHistory.shift();
-        }
-        panelHistoryIndex = panelCommandHistory.length;
+        // Back on screen (or gone): the thumbnail goes
+        ['window:open', 'window:restore', 'window:maximize', 'window:close'].forEach(type => {
+            document.addEventListener(type, (e) => removeThumbnail(e.detail.windowId));
+        });
+    }
 
-        addLine(`<span class="output-prompt">pablo@portfolio:~$</span> <span class="output-command">${escapeHtml(input)}</span>`);
+    // ================================
+    // Wait for Login
+    // ================================
+    function waitForLoginComplete() {
+        const loginScreen = document.getElementById('login-screen');
 
-        const commands = getCommands();
-        if (commands[cmd]) {
-            const output = commands[cmd]();
-            if (output) addLine(output);
-        } else {
-            addLine(`<span class="output-error">Command not found: ${escapeHtml(cmd)}</span>\nType <span class="cmd-highlight">help</span> for available commands.`);
+        if (!loginScreen) {
+            showDock();
+            return;
         }
 
-        addLine('&nbsp;');
-    }
-
-    function addLine(html) {
-        const line = document.createElement('div');
-        line.className = 'panel-line';
-        line.innerHTML = `<span class="output-text">${html}</span>`;
-        panelOutput.appendChild(line);
-        panelOutput.scrollTop = panelOutput.scrollHeight;
-    }
-
-    function escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
-
-    function formatAsTree(items, indent = '  ') {
-        return items.map((item, i) => {
-            const isLast = i === items.length - 1;
-            const branch = isLast ? '└──' : '├──';
-            return `${indent}${branch} ${item}`;
-        }).join('\n');
-    }
-
-    // ================================
-    // Commands
-    // ================================
-    function getCommands() {
-        const data = typeof portfolioData !== 'undefined' ? portfolioData : {};
-
-        return {
-            help: () => `
-<span class="output-title">Available Commands:</span>
-
-  <span class="cmd-highlight">about</span>      - About me
-  <span class="cmd-highlight">skills</span>     - Technical skills
-  <span class="cmd-highlight">experience</span> - Work experience
-  <span class="cmd-highlight">education</span>  - Education & certifications
-  <span class="cmd-highlight">contact</span>    - Contact information
-  <span class="cmd-highlight">clear</span>      - Clear terminal
-  <span class="cmd-highlight">help</span>       - Show this help message
-`,
-            about: () => {
-                const { profile } = data;
-                if (!profile) return '<span class="output-error">Data not available</span>';
-                return `
-<span class="output-title">${profile.name}</span>
-<span class="output-subtitle">${profile.title} | ${profile.location}</span>
-
-${profile.bio}
-`;
-            },
-            skills: () => {
-                const { skills } = data;
-                if (!skills) return '<span class="output-error">Data not available</span>';
-                let output = '\n<span class="output-title">Technical Skills</span>\n';
-                for (const [category, items] of Object.entries(skills)) {
-                    output += `\n<span class="output-subtitle">${category}:</span>\n`;
-                    output += formatAsTree(items) + '\n';
-                }
-                return output;
-            },
-            experience: () => {
-                const { experience } = data;
-                if (!experience) return '<span class="output-error">Data not available</span>';
-                let output = '\n<span class="output-title">Professional Experience</span>\n';
-                experience.forEach(job => {
-                    output += `\n<span class="output-subtitle">${job.company}</span> <span class="output-muted">(${job.tenure})</span>\n`;
-                    job.roles.forEach(role => {
-                        output += `\n  <span class="output-text">${role.title}</span> <span class="output-muted">| ${role.period}</span>\n`;
-                        output += formatAsTree(role.responsibilities, '    ') + '\n';
-                    });
+        const observer = new MutationObserver((mutations) => {
+            mutations.forEach((mutation) => {
+                mutation.removedNodes.forEach((node) => {
+                    if (node.id === 'login-screen') {
+                        observer.disconnect();
+                        setTimeout(showDock, 300);
+                    }
                 });
-                return output;
-            },
-            education: () => {
-                const { education, certifications } = data;
-                if (!education) return '<span class="output-error">Data not available</span>';
-                let output = '\n<span class="output-title">Education</span>\n';
-                const eduItems = education.map(edu =>
-                    `${edu.institution} - ${edu.degree} <span class="output-muted">(${edu.period})</span>`
-                );
-                output += formatAsTree(eduItems) + '\n';
-                if (certifications) {
-                    output += '\n<span class="output-title">Certifications</span>\n';
-                    output += formatAsTree(certifications);
-                }
-                return output;
-            },
-            contact: () => {
-                const { contact } = data;
-                if (!contact) return '<span class="output-error">Data not available</span>';
-                return `
-<span class="output-title">Contact</span>
-
-  LinkedIn: <a href="${contact.linkedin.url}" target="_blank" rel="noopener noreferrer">${contact.linkedin.display}</a>
-`;
-            },
-            clear: () => {
-                panelOutput.innerHTML = '';
-                return null;
-            }
-        };
+            });
+        });
+
+        observer.observe(document.body, { childList: true });
     }
 
+    // ================================
+    // Show Dock
+    // ================================
+    function showDock() {
+        if (dockContainer) {
+            dockContainer.classList.add('visible');
+            // Windows shown before the dock existed (profile after login) had no
+            // window:open or window:minimize to react to - sync every indicator and
+            // thumbnail with the current state, next frame so apps initialized after
+            // the dock have registered too
+            requestAnimationFrame(() => {
+                updateAllDockItems();
+                syncThumbnails();
+            });
+        }
+    }
+
+    // ================================
+    // Export API
+    // ================================
+    window.Dock = {
+        setBadge,
+        requestAttention,
+        cancelAttention,
+        setPosition,
+        getPosition,
+        setAutoHide,
+        isAutoHide
+    };
+
     // ================================
     // Start
     // ================================
@@ -72,8 +72,18 @@ function setText(element, text) {
 
 // Initialize Profile Window using WindowManager
 function initProfileWindow() {
-    // No habilitar en móviles
-    if (window.innerWidth <= 768) return;
+    // No habilitar en móviles (phones). Tablets and touch laptops above
+    // 768px get the desktop window; a tablet starting in a narrow
+    // orientation gets it once the viewport grows past phone size.
+    const desktopQuery = window.matchMedia('(min-width: 769px)');
+    if (!desktopQuery.matches) {
+        desktopQuery.addEventListener('change', function onDesktop(e) {
+            if (!e.matches) return;
+            desktopQuery.removeEventListener('change', onDesktop);
+            initProfileWindow();
+        });
+        return;
+    }
 
     const windowEl = document.querySelector('.iterm-window');
     const titlebar = document.querySelector('.iterm-titlebar');
@@ -85,40 +95,36 @@ function initProfileWindow() {
         element: windowEl,
         titlebar: titlebar,
         windowId: 'profile',
+        persist: true,
+        appName: 'Profile',
+        titleElement: windowEl.querySelector('.window-title'),
+        activeClass: 'visible',
+        minWidth: 480,
+        minHeight: 320,
         preventDragOn: ['.traffic-lights'],
         trafficLights: {
             close: lights[0],
             minimize: lights[1],
             maximize: lights[2]
-        },
-        onClose: () => {
-            // Position reset automatically by close()
-            // Dock indicator updated automatically via window:close event
-            // Update menubar - check if Terminal is active
-            if (typeof MenubarManager !== 'undefined') {
-                const terminalActive = document.querySelector('.terminal-panel.active');
-                MenubarManager.setActiveApp(terminalActive ? 'Terminal' : 'Pablo Lagger');
-            }
-        },
-        onMinimize: () => {
-            // Position kept (not reset) - user expects window to restore where it was
-            // Dock indicator stays active via window:minimize event
-            // Update menubar - check if Terminal is active
-            if (typeof MenubarManager !== 'undefined') {
-                const terminalActive = document.querySelector('.terminal-panel.active');
-                MenubarManager.setActiveApp(terminalActive ? 'Terminal' : 'Pablo Lagger');
-            }
-        },
-        onRestore: () => {
-            // Dock indicator updated automatically via window:restore event
-            // Update menubar
-            if (typeof MenubarManager !== 'undefined') {
-                MenubarManager.setActiveApp('Profile');
-            }
         }
+        // close() resets position, minimize() keeps it for restore
+        // Dock indicator follows window:* events, menubar follows FocusManager
     });
 }
 
+// Profile in the dock (window is created in initProfileWindow)
+AppRegistry.register({
+    id: 'profile',
+    label: 'Profile',
+    windowId: 'profile',
+    open: () => {
+        if (profileWindowManager) profileWindowManager.open();
+    },
+    close: () => {
+        if (profileWindowManager) profileWindowManager.close();
+    }
+});
+
 // Inicializar cuando el DOM esté listo
 document.addEventListener('DOMContentLoaded', () => {
     // Initialize profile window manager
@@ -1,6 +1,6 @@
 // ================================
 // Menubar - macOS Style
-// Theme toggle + Clock
+// Theme toggle + Mission Control + Spaces + Clock
 // ================================
 
 (function() {
@@ -18,6 +18,8 @@
     let menubarContainer = null;
     let menubarClock = null;
     let menubarThemeToggle = null;
+    let menubarMissionControl = null;
+    let menubarSpaces = null;
     let clockIntervalId = null;
     let userOverride = false; // True if user manually changed theme this session
 
@@ -111,6 +113,27 @@
         }
     }
 
+    // ================================
+    // Spaces Indicator
+    // ================================
+    function renderSpaces() {
+        if (!menubarSpaces || typeof SpacesManager === 'undefined') return;
+
+        const current = SpacesManager.getCurrent();
+        menubarSpaces.innerHTML = '';
+        for (let i = 0; i < SpacesManager.getCount(); i++) {
+            const button = document.createElement('button');
+            button.className = 'menubar-space' + (i === current ? ' active' : '');
+            button.textContent = i + 1;
+            button.setAttribute('aria-label', `Desktop ${i + 1}`);
+            if (i === current) {
+                button.setAttribute('aria-current', 'true');
+            }
+            button.addEventListener('click', () => SpacesManager.switchTo(i));
+            menubarSpaces.appendChild(button);
+        }
+    }
+
     // ================================
     // Create Menubar DOM
     // ================================
@@ -134,6 +157,17 @@
                     <span class="menubar-clock" id="menubar-clock">Loading...</span>
                 </div>
                 <div class="menubar-right">
+                    <div class="menubar-spaces" id="menubar-spaces" role="group" aria-label="Spaces"></div>
+                    <button class="menubar-mission-control" id="menubar-mission-control" aria-label="Mission Control">
+                        <span class="menubar-icon">
+                            <svg viewBox="0 0 24 24" fill="currentColor">
+                                <rect x="2" y="4" width="9" height="7" rx="1.5"/>
+                                <rect x="13" y="4" width="9" height="7" rx="1.5"/>
+                                <rect x="2" y="13" width="9" height="7" rx="1.5"/>
+                                <rect x="13" y="13" width="9" height="7" rx="1.5"/>
+                            </svg>
+                        </span>
+                    </button>
                     <button class="menubar-theme-toggle" id="menubar-theme-toggle" aria-label="Toggle theme">
                         <span class="menubar-icon">
                             <svg viewBox="0 0 24 24" fill="currentColor">
@@ -161,6 +195,8 @@
         // Cache DOM references
         menubarClock = document.getElementById('menubar-clock');
         menubarThemeToggle = document.getElementById('menubar-theme-toggle');
+        menubarMissionControl = document.getElementById('menubar-mission-control');
+        menubarSpaces = document.getElementById('menubar-spaces');
 
         // Apply system theme preference
         const theme = getSystemPreference();
@@ -174,6 +210,19 @@
             menubarThemeToggle.addEventListener('click', toggleTheme);
         }
 
+        // Mission Control click handler
+        if (menubarMissionControl) {
+            menubarMissionControl.addEventListener('click', () => {
+                if (typeof MissionControl !== 'undefined') {
+                    MissionControl.toggle();
+                }
+            });
+        }
+
+        // Spaces indicator follows Space switches
+        renderSpaces();
+        document.addEventListener('spaces:change', renderSpaces);
+
         // Show menubar with animation
         requestAnimationFrame(() => {
             menubarContainer.classList.add('visible');
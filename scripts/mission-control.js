@@ -0,0 +1,245 @@
+// ================================
+// Mission Control - Window Overview
+// Scales every open window into a non-overlapping grid
+// Click a window to bring it forward, Escape to go back
+// ================================
+
+(function() {
+    'use strict';
+
+    // ================================
+    // Constants
+    // ================================
+    const SCOPE = 'mission-control';
+    const GRID_GAP = 40;            // px between grid cells
+    const DOCK_CLEARANCE = 90;      // px kept free beside the dock
+    const TRANSITION_MS = 300;      // matches .mission-control-item transition
+
+    // ================================
+    // State
+    // ================================
+    let active = false;
+    let overlay = null;
+    let entries = [];               // [{ manager, transform: { value, priority } }]
+    let cleanupTimer = null;
+
+    // ================================
+    // Layout
+    // ================================
+
+    /**
+     * Grid cells for n windows inside the area between menubar and dock
+     * @param {number} count
+     * @returns {Array<{ x: number, y: number, width: number, height: number }>}
+     */
+    function getGridCells(count) {
+        const menubar = document.querySelector('.menubar');
+        const dockPosition = typeof Dock !== 'undefined' ? Dock.getPosition() : 'bottom';
+        const top = (menubar ? menubar.offsetHeight : 0) + GRID_GAP;
+        const bottom = window.innerHeight - (dockPosition === 'bottom' ? DOCK_CLEARANCE : GRID_GAP);
+        const left = dockPosition === 'left' ? DOCK_CLEARANCE : GRID_GAP;
+        const right = window.innerWidth - (dockPosition === 'right' ? DOCK_CLEARANCE : GRID_GAP);
+
+        const cols = Math.ceil(Math.sqrt(count));
+        const rows = Math.ceil(count / cols);
+        const cellWidth = (right - left) / cols;
+        const cellHeight = (bottom - top) / rows;
+
+        const cells = [];
+        for (let i = 0; i < count; i++) {
+            const row = Math.floor(i / cols);
+            // Center a short last row
+            const inRow = row === rows - 1 ? count - row * cols : cols;
+            const rowOffset = (cols - inRow) * cellWidth / 2;
+            cells.push({
+                x: left + rowOffset + (i % cols) * cellWidth,
+                y: top + row * cellHeight,
+                width: cellWidth,
+                height: cellHeight
+            });
+        }
+        return cells;
+    }
+
+    /**
+     * Transform that moves a window's center to the cell center and scales it to fit
+     */
+    function getOverviewTransform(element, cell) {
+        const rect = element.getBoundingClientRect();
+        const scale = Math.min(
+            (cell.width - GRID_GAP) / rect.width,
+            (cell.height - GRID_GAP) / rect.height,
+            1
+        );
+        const dx = (cell.x + cell.width / 2) - (rect.left + rect.width / 2);
+        const dy = (cell.y + cell.height / 2) - (rect.top + rect.height / 2);
+
+        // Keep the window's own transform (e.g. centering) in the chain
+        const current = getComputedStyle(element).transform;
+        const base = current === 'none' ? '' : current;
+        return `translate(${dx}px, ${dy}px) ${base} scale(${scale})`;
+    }
+
+    // ================================
+    // Enter / Exit
+    // ================================
+
+    function enter() {
+        if (active || typeof FocusManager === 'undefined') return;
+
+        const windows = FocusManager.getOpenWindows();
+        if (windows.length === 0) return;
+
+        clearTimeout(cleanupTimer);
+        cleanupPrevious();
+
+        active = true;
+        showOverlay();
+
+        const cells = getGridCells(windows.length);
+        entries = windows.map((manager, index) => {
+            const style = manager.element.style;
+            const entry = {
+                manager,
+                transform: {
+                    value: style.getPropertyValue('transform'),
+                    priority: style.getPropertyPriority('transform')
+                }
+            };
+
+            const transform = getOverviewTransform(manager.element, cells[index]);
+            manager.element.classList.add('mission-control-item');
+            // Inline !important also beats state rules like .maximized { transform: none !important }
+            style.setProperty('transform', transform, 'important');
+            return entry;
+        });
+
+        ShortcutManager.pushScope(SCOPE);
+        window.addEventListener('pointerdown', onPointerDown, true);
+        window.addEventListener('click', onClick, true);
+        window.addEventListener('resize', onViewportChange);
+        document.addEventListener('window:close', onViewportChange);
+        document.addEventListener('window:minimize', onViewportChange);
+        document.addEventListener('spaces:change', onViewportChange);
+    }
+
+    /**
+     * Leave the overview and put every window back exactly where it was
+     * @param {WindowManager} selected - Window to bring forward afterwards
+     */
+    function exit(selected = null) {
+        if (!active) return;
+        active = false;
+
+        ShortcutManager.popScope(SCOPE);
+        window.removeEventListener('pointerdown', onPointerDown, true);
+        window.removeEventListener('click', onClick, true);
+        window.removeEventListener('resize', onViewportChange);
+        document.removeEventListener('window:close', onViewportChange);
+        document.removeEventListener('window:minimize', onViewportChange);
+        document.removeEventListener('spaces:change', onViewportChange);
+
+        entries.forEach(({ manager, transform }) => {
+            const style = manager.element.style;
+            if (transform.value) {
+                style.setProperty('transform', transform.value, transform.priority);
+            } else {
+                style.removeProperty('transform');
+            }
+        });
+
+        hideOverlay();
+
+        if (selected) {
+            selected.focus();
+        }
+
+        // Drop the transition class once windows are back in place
+        cleanupTimer = setTimeout(cleanupPrevious, TRANSITION_MS);
+    }
+
+    function cleanupPrevious() {
+        entries.forEach(({ manager }) => {
+            manager.element.classList.remove('mission-control-item');
+        });
+        entries = [];
+    }
+
+    function toggle() {
+        if (active) {
+            exit();
+        } else {
+            enter();
+        }
+    }
+
+    function isActive() {
+        return active;
+    }
+
+    // ================================
+    // Overlay
+    // ================================
+
+    function showOverlay() {
+        if (!overlay) {
+            overlay = document.createElement('div');
+            overlay.className = 'mission-control-overlay';
+            document.body.appendChild(overlay);
+        }
+        // Force a style flush so the fade-in transition runs
+        void overlay.offsetWidth;
+        overlay.classList.add('active');
+    }
+
+    function hideOverlay() {
+        if (overlay) {
+            overlay.classList.remove('active');
+        }
+    }
+
+    // ================================
+    // Input While Active
+    // ================================
+
+    function findEntry(target) {
+        return entries.find(({ manager }) => manager.element.contains(target));
+    }
+
+    // Block drags, resizes and focus changes - the overview is read-only
+    function onPointerDown(e) {
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    // Click picks a window (or closes the overview on empty space),
+    // without reaching traffic lights or content underneath
+    function onClick(e) {
+        e.preventDefault();
+        e.stopPropagation();
+
+        const entry = findEntry(e.target);
+        exit(entry ? entry.manager : null);
+    }
+
+    function onViewportChange() {
+        exit();
+    }
+
+    // ================================
+    // Shortcuts
+    // ================================
+    ShortcutManager.register('Escape', () => exit(), { scope: SCOPE, allowInInput: true });
+    ShortcutManager.register('Ctrl+ArrowUp', toggle);
+    ShortcutManager.register('F3', toggle);
+
+    // ================================
+    // Export API
+    // ================================
+    window.MissionControl = {
+        enter,
+        exit,
+        toggle,
+        isActive
+    };
+})();
@@ -0,0 +1,257 @@
+// ================================
+// ShortcutManager - Global Keyboard Shortcuts
+// One keydown listener, bindings grouped by scope so the focused app
+// can claim a key (e.g. Escape) before the global bindings see it
+// ================================
+
+(function() {
+    'use strict';
+
+    // ================================
+    // Constants
+    // ================================
+    const IS_MAC = /Mac|iPhone|iPad/.test(navigator.platform);
+    const GLOBAL_SCOPE = 'global';
+
+    // Canonical modifier order used for binding keys
+    const MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+
+    // Aliases accepted in combo strings
+    const MODIFIER_ALIASES = {
+        ctrl: 'Ctrl',
+        control: 'Ctrl',
+        alt: 'Alt',
+        option: 'Alt',
+        shift: 'Shift',
+        meta: 'Meta',
+        cmd: 'Meta',
+        // Cmd on macOS, Ctrl everywhere else
+        mod: IS_MAC ? 'Meta' : 'Ctrl'
+    };
+
+    // ================================
+    // State
+    // ================================
+
+    // scope → Map(canonical combo → { handler, allowInInput })
+    const bindings = new Map();
+
+    // Modal scopes (e.g. keyboard move mode), last pushed wins
+    let scopeStack = [];
+
+    // ================================
+    // Combo Parsing
+    // ================================
+
+    /**
+     * Normalize a combo string like 'Mod+Shift+w' to 'Shift+Meta+W' (on macOS)
+     * @param {string} combo
+     * @returns {string}
+     */
+    function normalizeCombo(combo) {
+        const parts = combo.split('+').map(part => part.trim()).filter(Boolean);
+        const modifiers = new Set();
+        let key = '';
+
+        parts.forEach(part => {
+            const modifier = MODIFIER_ALIASES[part.toLowerCase()];
+            if (modifier) {
+                modifiers.add(modifier);
+            } else {
+                key = part.length === 1 ? part.toUpperCase() : part;
+            }
+        });
+
+        return [...MODIFIERS.filter(m => modifiers.has(m)), key].join('+');
+    }
+
+    /**
+     * Physical key name for an event. Letters, digits and backquote come from
+     * e.code so Shift/Option variants ('W', 'Ω', '~') still match their binding.
+     * @param {KeyboardEvent} e
+     * @returns {string}
+     */
+    function getEventKey(e) {
+        if (/^Key[A-Z]$/.test(e.code)) return e.code.slice(3);
+        if (/^Digit\d$/.test(e.code)) return e.code.slice(5);
+        if (e.code === 'Backquote') return '`';
+        return e.key.length === 1 ? e.key.toUpperCase() : e.key;
+    }
+
+    /**
+     * @param {KeyboardEvent} e
+     * @returns {string} Canonical combo for the event
+     */
+    function eventToCombo(e) {
+        const modifiers = [];
+        if (e.ctrlKey) modifiers.push('Ctrl');
+        if (e.altKey) modifiers.push('Alt');
+        if (e.shiftKey) modifiers.push('Shift');
+        if (e.metaKey) modifiers.push('Meta');
+        return [...modifiers, getEventKey(e)].join('+');
+    }
+
+    function isTextField(target) {
+        return target && (
+            target.tagName === 'INPUT' ||
+            target.tagName === 'TEXTAREA' ||
+            target.isContentEditable
+        );
+    }
+
+    // ================================
+    // Registration
+    // ================================
+
+    /**
+     * Bind a key combo
+     * @param {string} combo - e.g. 'Mod+W', 'Ctrl+Meta+F', 'Escape'
+     * @param {Function} handler - Receives the KeyboardEvent; return false to pass the key on
+     * @param {Object} options
+     * @param {string} options.scope - 'global' (default), a windowId or a pushed modal scope
+     * @param {boolean} options.allowInInput - Fire while typing in a text field
+     *        (combos with Ctrl/Meta always do)
+     * @returns {Function} Unregister function
+     */
+    function register(combo, handler, options = {}) {
+        const scope = options.scope || GLOBAL_SCOPE;
+        const key = normalizeCombo(combo);
+
+        if (!bindings.has(scope)) {
+            bindings.set(scope, new Map());
+        }
+        const binding = { handler, allowInInput: Boolean(options.allowInInput) };
+        bindings.get(scope).set(key, binding);
+
+        return () => {
+            const scoped = bindings.get(scope);
+            if (scoped && scoped.get(key) === binding) {
+                scoped.delete(key);
+            }
+        };
+    }
+
+    function unregister(combo, scope = GLOBAL_SCOPE) {
+        const scoped = bindings.get(scope);
+        if (scoped) scoped.delete(normalizeCombo(combo));
+    }
+
+    /**
+     * Activate a modal scope that sees keys before the focused window and global scope
+     * @param {string} scope
+     */
+    function pushScope(scope) {
+        scopeStack = scopeStack.filter(item => item !== scope);
+        scopeStack.push(scope);
+    }
+
+    function popScope(scope) {
+        scopeStack = scopeStack.filter(item => item !== scope);
+    }
+
+    /**
+     * Scopes in the order they get a chance at a key
+     * @returns {string[]}
+     */
+    function getActiveScopes() {
+        const scopes = [...scopeStack].reverse();
+
+        const focused = typeof FocusManager !== 'undefined' ? FocusManager.getFocused() : null;
+        if (focused && focused.windowId) {
+            scopes.push(focused.windowId);
+        }
+
+        scopes.push(GLOBAL_SCOPE);
+        return scopes;
+    }
+
+    // ================================
+    // Dispatch
+    // ================================
+
+    /**
+     * Run the first matching binding in the given scopes
+     * @returns {boolean} true if a handler took the key
+     */
+    function runBindings(e, scopes) {
+        const combo = eventToCombo(e);
+        const inTextField = isTextField(e.target);
+        const hasCommandModifier = e.ctrlKey || e.metaKey;
+
+        for (const scope of scopes) {
+            const scoped = bindings.get(scope);
+            const binding = scoped && scoped.get(combo);
+            if (!binding) continue;
+
+            if (inTextField && !hasCommandModifier && !binding.allowInInput) continue;
+
+            if (binding.handler(e) !== false) {
+                e.preventDefault();
+                return true;
+            }
+        }
+        return false;
+    }
+
+    // Modal scopes run in the capture phase, before the focused element
+    // (e.g. arrow keys in keyboard move mode win over terminal history)
+    function handleModalKeyDown(e) {
+        if (scopeStack.length === 0) return;
+        if (runBindings(e, [...scopeStack].reverse())) {
+            e.stopPropagation();
+        }
+    }
+
+    function handleKeyDown(e) {
+        // Already handled by the element that had focus (e.g. terminal input)
+        if (e.defaultPrevented) return;
+
+        const scopes = getActiveScopes().filter(scope => !scopeStack.includes(scope));
+        runBindings(e, scopes);
+    }
+
+    document.addEventListener('keydown', handleModalKeyDown, true);
+    document.addEventListener('keydown', handleKeyDown);
+
+    // ================================
+    // Window Management Shortcuts
+    // ================================
+
+    function withFocusedWindow(action) {
+        return () => {
+            if (typeof FocusManager === 'undefined') return false;
+            const focused = FocusManager.getFocused();
+            if (!focused) return false;
+            action(focused);
+        };
+    }
+
+    register('Mod+W', withFocusedWindow(manager => manager.close()));
+    register('Mod+M', withFocusedWindow(manager => manager.minimize()));
+    register('Ctrl+Meta+F', withFocusedWindow(manager => manager.toggleMaximize()));
+
+    // Keyboard move/resize mode (arrow keys, Enter to keep, Escape to cancel)
+    register('Alt+F7', withFocusedWindow(manager => manager.startKeyboardMove()), { allowInInput: true });
+    register('Alt+F8', withFocusedWindow(manager => manager.startKeyboardResize()), { allowInInput: true });
+
+    register('Mod+`', () => {
+        if (typeof FocusManager === 'undefined') return false;
+        FocusManager.cycle(1);
+    });
+
+    register('Mod+Shift+`', () => {
+        if (typeof FocusManager === 'undefined') return false;
+        FocusManager.cycle(-1);
+    });
+
+    // ================================
+    // Export API
+    // ================================
+    window.ShortcutManager = {
+        register,
+        unregister,
+        pushScope,
+        popScope,
+        getActiveScopes
+    };
+})();
@@ -0,0 +1,177 @@
+// ================================
+// Spaces - Virtual Desktops
+// Every WindowManager window lives on one Space; only the current
+// Space's windows are shown. Ctrl+←/→ switches, Ctrl+Shift+←/→
+// takes the focused window along.
+// ================================
+
+(function() {
+    'use strict';
+
+    // ================================
+    // Constants
+    // ================================
+    const SPACE_COUNT = 3;
+    const SLIDE_DURATION = 350;
+    const SLIDE_EASING = 'cubic-bezier(0.4, 0, 0.2, 1)';
+
+    // ================================
+    // State
+    // ================================
+    let current = 0;
+    let slideAnimations = [];       // Running slide animations
+    let slideDone = null;           // Finishes the running slide
+
+    // ================================
+    // Queries
+    // ================================
+
+    function getCurrent() {
+        return current;
+    }
+
+    function getCount() {
+        return SPACE_COUNT;
+    }
+
+    /**
+     * Open windows on a Space, bottom → top
+     * @param {number} space
+     * @returns {WindowManager[]}
+     */
+    function getWindows(space) {
+        return FocusManager.stack.filter(manager => manager.space === space && manager.isOpen());
+    }
+
+    // ================================
+    // Slide Transition
+    // ================================
+
+    /**
+     * Slide the old Space's windows out and the new one's in.
+     * composite: 'add' layers the slide on top of each window's own transform.
+     */
+    function slide(leaving, entering, direction, onDone) {
+        const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        const canAnimate = typeof document.body.animate === 'function';
+        if (reduceMotion || !canAnimate || (leaving.length === 0 && entering.length === 0)) {
+            onDone();
+            return;
+        }
+
+        const offset = `${direction * 100}vw`;
+        const options = { duration: SLIDE_DURATION, easing: SLIDE_EASING, composite: 'add' };
+
+        slideAnimations = [
+            ...leaving.map(manager => manager.element.animate([
+                { transform: 'translateX(0)' },
+                { transform: `translateX(-${offset})` }
+            ], { ...options, fill: 'forwards' })),
+            ...entering.map(manager => manager.element.animate([
+                { transform: `translateX(${offset})` },
+                { transform: 'translateX(0)' }
+            ], options))
+        ];
+        slideDone = onDone;
+
+        // All animations share duration, the first one is enough to end the slide
+        slideAnimations[0].onfinish = finishSlide;
+    }
+
+    function finishSlide() {
+        const done = slideDone;
+        const animations = slideAnimations;
+        slideDone = null;
+        slideAnimations = [];
+
+        if (done) done();
+        animations.forEach(animation => animation.cancel());
+    }
+
+    // ================================
+    // Switching
+    // ================================
+
+    /**
+     * Show another Space
+     * @param {number} index - Space index (0-based)
+     */
+    function switchTo(index) {
+        if (index < 0 || index >= SPACE_COUNT || index === current) return;
+
+        // A slide still running ends here
+        finishSlide();
+
+        const previous = current;
+        const leaving = getWindows(previous);
+        const entering = getWindows(index);
+        current = index;
+
+        // Entering windows show up right away, leaving ones once they slid out
+        entering.forEach(manager => manager.syncSpace());
+        slide(leaving, entering, index > previous ? 1 : -1, () => {
+            FocusManager.stack.forEach(manager => manager.syncSpace());
+        });
+
+        // Focus stays on the current Space
+        const focused = FocusManager.getFocused();
+        if (focused && !focused.isOnCurrentSpace()) {
+            FocusManager.blur(focused);
+        } else if (!focused) {
+            FocusManager.focusTopmost();
+        }
+
+        document.dispatchEvent(new CustomEvent('spaces:change', {
+            detail: { space: current, previous }
+        }));
+    }
+
+    function switchBy(direction) {
+        switchTo(current + direction);
+    }
+
+    /**
+     * Move the focused window to the neighbouring Space and follow it there
+     * @param {number} direction - -1 left, 1 right
+     */
+    function moveFocusedWindow(direction) {
+        const focused = FocusManager.getFocused();
+        const target = current + direction;
+        if (!focused || target < 0 || target >= SPACE_COUNT) return false;
+
+        focused.setSpace(target);
+        switchTo(target);
+    }
+
+    // ================================
+    // Follow Focus
+    // ================================
+
+    // Opening or focusing a window on another Space (e.g. from the dock) goes there
+    document.addEventListener('window:focus', (e) => {
+        const manager = FocusManager.getFocused();
+        if (manager && manager.windowId === e.detail.windowId && !manager.isOnCurrentSpace()) {
+            switchTo(manager.space);
+        }
+    });
+
+    // ================================
+    // Shortcuts
+    // ================================
+    ShortcutManager.register('Ctrl+ArrowLeft', () => switchBy(-1));
+    ShortcutManager.register('Ctrl+ArrowRight', () => switchBy(1));
+    ShortcutManager.register('Ctrl+Shift+ArrowLeft', () => moveFocusedWindow(-1));
+    ShortcutManager.register('Ctrl+Shift+ArrowRight', () => moveFocusedWindow(1));
+
+    // ================================
+    // Export API
+    // ================================
+    window.SpacesManager = {
+        getCurrent,
+        getCount,
+        getWindows,
+        switchTo,
+        switchBy,
+        moveFocusedWindow
+    };
+})();
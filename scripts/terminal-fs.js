@@ -0,0 +1,214 @@
+// ================================
+// Terminal FS - Read-only Virtual Filesystem
+// The CV as files: ~/about.md, ~/experience/uala/..., ~/skills/...
+// built from portfolioData, plus path resolution for ls/cd/cat/tree
+// ================================
+
+(function() {
+    'use strict';
+
+    // ================================
+    // Constants
+    // ================================
+    const HOME = '/home/pablo';     // What ~ stands for in absolute paths (pwd)
+
+    // ================================
+    // Nodes
+    // ================================
+
+    function dir(children = {}) {
+        return { type: 'dir', children };
+    }
+
+    function file(lines) {
+        return { type: 'file', content: lines.join('\n') };
+    }
+
+    /**
+     * File/directory name for a label: lowercase ASCII, & → and, dashes between words
+     * e.g. "Cloud & Infrastructure" → "cloud-and-infrastructure", "Ualá" → "uala"
+     * @param {string} text
+     * @returns {string}
+     */
+    function slugify(text) {
+        return text
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/&/g, ' and ')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '');
+    }
+
+    /**
+     * Add a child under a unique name (same slug twice → name-2.ext)
+     */
+    function addChild(parent, slug, extension, node) {
+        let name = `${slug}${extension}`;
+        for (let n = 2; parent.children[name]; n++) {
+            name = `${slug}-${n}${extension}`;
+        }
+        parent.children[name] = node;
+    }
+
+    // ================================
+    // Build
+    // ================================
+
+    /**
+     * Home directory tree for the portfolio data
+     * @param {Object} data - portfolioData
+     * @returns {Object} Root directory node ({ type: 'dir', children })
+     */
+    function build(data = {}) {
+        const home = dir();
+        const { profile, skills, experience, education, certifications, contact } = data;
+
+        if (profile) {
+            home.children['about.md'] = file([
+                `# ${profile.name}`,
+                `${profile.title} | ${profile.location}`,
+                '',
+                profile.bio
+            ]);
+        }
+
+        if (contact) {
+            const vcard = ['BEGIN:VCARD', 'VERSION:3.0'];
+            if (profile) vcard.push(`FN:${profile.name}`, `TITLE:${profile.title}`);
+            if (contact.linkedin) vcard.push(`URL:${contact.linkedin.url}`);
+            vcard.push('END:VCARD');
+            home.children['contact.vcf'] = file(vcard);
+        }
+
+        if (skills) {
+            const skillsDir = dir();
+            Object.entries(skills).forEach(([category, items]) => {
+                addChild(skillsDir, slugify(category), '.txt', file(items));
+            });
+            home.children.skills = skillsDir;
+        }
+
+        if (experience) {
+            const experienceDir = dir();
+            experience.forEach(job => {
+                const companyDir = dir();
+                job.roles.forEach(role => {
+                    addChild(companyDir, slugify(role.title), '.md', file([
+                        `# ${role.title}`,
+                        `${job.company} | ${role.period}`,
+                        '',
+                        ...role.responsibilities.map(item => `- ${item}`)
+                    ]));
+                });
+                addChild(experienceDir, slugify(job.company), '', companyDir);
+            });
+            home.children.experience = experienceDir;
+        }
+
+        if (education || certifications) {
+            const educationDir = dir();
+            (education || []).forEach(edu => {
+                addChild(educationDir, slugify(edu.institution), '.md', file([
+                    `# ${edu.degree}`,
+                    `${edu.institution} | ${edu.period}`
+                ]));
+            });
+            if (certifications) {
+                educationDir.children['certifications.txt'] = file(certifications);
+            }
+            home.children.education = educationDir;
+        }
+
+        return home;
+    }
+
+    // ================================
+    // Paths
+    // ================================
+
+    /**
+     * Find a path: absolute (/home/pablo/...), from home (~/...) or relative to cwd.
+     * The filesystem ends at home - ".." there stays there.
+     * @param {Object} root - Home directory node
+     * @param {string[]} cwd - Current directory as names below home
+     * @param {string} path
+     * @returns {{ segments: string[], node: Object }}
+     */
+    function resolve(root, cwd, path) {
+        let segments;
+        let rest;
+
+        if (path === '~' || path.startsWith('~/')) {
+            segments = [];
+            rest = path.slice(1);
+        } else if (path.startsWith('/')) {
+            if (path !== HOME && !path.startsWith(`${HOME}/`)) {
+                throw new Error(`${path}: No such file or directory`);
+            }
+            segments = [];
+            rest = path.slice(HOME.length);
+        } else {
+            segments = [...cwd];
+            rest = path;
+        }
+
+        let node = getNode(root, segments);
+        rest.split('/').filter(name => name !== '' && name !== '.').forEach(name => {
+            if (node.type !== 'dir') {
+                throw new Error(`${path}: Not a directory`);
+            }
+            if (name === '..') {
+                segments.pop();
+                node = getNode(root, segments);
+                return;
+            }
+            if (!Object.prototype.hasOwnProperty.call(node.children, name)) {
+                throw new Error(`${path}: No such file or directory`);
+            }
+            segments.push(name);
+            node = node.children[name];
+        });
+
+        // "file.md/" names a directory that isn't one
+        if (path.endsWith('/') && node.type !== 'dir') {
+            throw new Error(`${path}: Not a directory`);
+        }
+
+        return { segments, node };
+    }
+
+    function getNode(root, segments) {
+        return segments.reduce((node, name) => node.children[name], root);
+    }
+
+    /**
+     * @param {string[]} segments - Names below home
+     * @param {boolean} absolute - /home/pablo/... instead of ~/...
+     * @returns {string}
+     */
+    function formatPath(segments, absolute = false) {
+        const base = absolute ? HOME : '~';
+        return segments.length === 0 ? base : `${base}/${segments.join('/')}`;
+    }
+
+    /**
+     * Entries of a directory, sorted by name
+     * @param {Object} node - Directory node
+     * @returns {Array<[string, Object]>}
+     */
+    function list(node) {
+        return Object.entries(node.children).sort(([a], [b]) => a.localeCompare(b));
+    }
+
+    // ================================
+    // Export API
+    // ================================
+    window.TerminalFS = {
+        build,
+        slugify,
+        resolve,
+        formatPath,
+        list
+    };
+})();
@@ -0,0 +1,531 @@
+// ================================
+// Terminal Shell - Command Line Parsing
+// Splits a command line into words (quotes, escapes) and
+// pipelines (| && ;), expands history events (!!, !n), matches
+// words against a command's declared arguments and options,
+// and completes the word being typed
+// ================================
+
+(function() {
+    'use strict';
+
+    // ================================
+    // Tokenizer
+    // ================================
+
+    /**
+     * Walk a command line, shell style: 'single quotes' are literal,
+     * "double quotes" allow \" and \\, a backslash outside quotes escapes
+     * the next character. Unquoted |, && and ; are operators.
+     * @param {string} line
+     * @returns {{ tokens: Array<string|{ operator: string }>, current: string|null, start: number, quote: string|null }}
+     *          Finished words and operators, plus the word still open at the end of
+     *          the line (null after whitespace), where it starts and the quote left open
+     */
+    function scan(line) {
+        const tokens = [];
+        let word = '';
+        let start = -1;             // Index where the open word began (-1 = none)
+        let quote = null;           // ' or " while inside quotes
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+
+            if (quote === "'") {
+                if (char === "'") {
+                    quote = null;
+                } else {
+                    word += char;
+                }
+            } else if (quote === '"') {
+                if (char === '"') {
+                    quote = null;
+                } else if (char === '\\' && (line[i + 1] === '"' || line[i + 1] === '\\')) {
+                    word += line[++i];
+                } else {
+                    word += char;
+                }
+            } else if (/\s/.test(char) || char === '|' || char === ';' || (char === '&' && line[i + 1] === '&')) {
+                if (start !== -1) {
+                    tokens.push(word);
+                    word = '';
+                    start = -1;
+                }
+                if (char === '&') {
+                    tokens.push({ operator: '&&' });
+                    i++;
+                } else if (char === '|' || char === ';') {
+                    tokens.push({ operator: char });
+                }
+            } else {
+                // Quotes can make an empty word ("")
+                if (start === -1) start = i;
+
+                if (char === "'" || char === '"') {
+                    quote = char;
+                } else if (char === '\\') {
+                    if (i + 1 < line.length) {
+                        word += line[++i];
+                    }
+                } else {
+                    word += char;
+                }
+            }
+        }
+
+        return {
+            tokens,
+            current: start === -1 ? null : word,
+            start: start === -1 ? line.length : start,
+            quote
+        };
+    }
+
+    /**
+     * Split a command line into words and operators
+     * @param {string} line
+     * @returns {Array<string|{ operator: string }>}
+     */
+    function tokenize(line) {
+        const { tokens, current, quote } = scan(line);
+        if (quote) {
+            throw new Error(`unterminated ${quote === '"' ? 'double' : 'single'} quote`);
+        }
+        return current === null ? tokens : [...tokens, current];
+    }
+
+    /**
+     * Split a command line into pipelines chained by && and ;
+     * @param {string} line - e.g. "experience | grep Lambda && contact"
+     * @returns {Array<{ pipeline: string[][], then: string|null }>} Each pipeline is a
+     *          list of commands (words); then is the operator after it ('&&', ';' or null)
+     */
+    function parse(line) {
+        const chain = [];
+        let pipeline = [];
+        let words = [];
+
+        tokenize(line).forEach(token => {
+            if (typeof token === 'string') {
+                words.push(token);
+                return;
+            }
+
+            if (words.length === 0) {
+                throw new Error(`syntax error near '${token.operator}'`);
+            }
+            pipeline.push(words);
+            words = [];
+
+            if (token.operator !== '|') {
+                chain.push({ pipeline, then: token.operator });
+                pipeline = [];
+            }
+        });
+
+        if (words.length > 0) {
+            pipeline.push(words);
+            chain.push({ pipeline, then: null });
+        } else if (pipeline.length > 0) {
+            throw new Error("syntax error: missing command after '|'");
+        } else if (chain.length > 0 && chain[chain.length - 1].then === '&&') {
+            throw new Error("syntax error: missing command after '&&'");
+        }
+
+        return chain;
+    }
+
+    /**
+     * Write a word so tokenize() reads it back as one word
+     * @param {string} word
+     * @param {string} quote - Quote the user already opened (' or "), if any
+     * @param {boolean} closed - false leaves the quote open, for a word still being typed
+     * @returns {string}
+     */
+    function quoteWord(word, quote = null, closed = true) {
+        if (quote === "'" && !word.includes("'")) {
+            return `'${word}` + (closed ? "'" : '');
+        }
+        if (quote || /[\s'"\\|;&]/.test(word)) {
+            return `"${word.replace(/["\\]/g, '\\$&')}` + (closed ? '"' : '');
+        }
+        return word;
+    }
+
+    // ================================
+    // History Expansion
+    // ================================
+
+    /**
+     * Replace history events, bash style: !! is the last command, !n the
+     * command numbered n in `history`, !-n the n-th last. Not inside
+     * 'single quotes' or after a backslash.
+     * @param {string} line
+     * @param {string[]} history - Oldest first
+     * @returns {{ line: string, expanded: boolean }}
+     * @throws {Error} "!n: event not found"
+     */
+    function expandHistory(line, history) {
+        let result = '';
+        let quote = null;
+        let expanded = false;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+
+            if (quote === "'") {
+                if (char === "'") quote = null;
+                result += char;
+                continue;
+            }
+
+            if (char === '\\') {
+                result += line.slice(i, i + 2);
+                i++;
+            } else if (char === '"' || char === "'") {
+                if (quote === null) {
+                    quote = char;
+                } else if (quote === char) {
+                    quote = null;
+                }
+                result += char;
+            } else if (char === '!' && /^(!|-?\d+)/.test(line.slice(i + 1))) {
+                const [designator] = line.slice(i + 1).match(/^(!|-?\d+)/);
+                const n = designator === '!' ? -1 : Number(designator);
+                const index = n < 0 ? history.length + n : n - 1;
+
+                if (n === 0 || index < 0 || index >= history.length) {
+                    throw new Error(`!${designator}: event not found`);
+                }
+                result += history[index];
+                expanded = true;
+                i += designator.length;
+            } else {
+                result += char;
+            }
+        }
+
+        return { line: result, expanded };
+    }
+
+    // ================================
+    // Arguments & Options
+    // ================================
+
+    /**
+     * Match words against a command signature. -h/--help is always accepted.
+     * @param {string[]} words - Words after the command name
+     * @param {Object} spec - Command definition
+     * @param {Object[]} spec.args - Positionals: { name, optional, variadic }
+     * @param {Object} spec.options - name → { short, value, choices, default, numeric, description };
+     *        options without `value` are boolean flags, a `numeric` one also reads -N (head -5 = head -n 5)
+     * @returns {{ args: Object, options: Object, help: boolean }}
+     */
+    function parseArgs(words, spec = {}) {
+        const argSpecs = spec.args || [];
+        const optionSpecs = spec.options || {};
+        const options = {};
+        const positionals = [];
+        let help = false;
+
+        Object.entries(optionSpecs).forEach(([name, option]) => {
+            options[name] = option.value ? (option.default ?? null) : false;
+        });
+
+        const setOption = (name, value) => {
+            const option = optionSpecs[name];
+            if (option.choices && !option.choices.includes(value)) {
+                throw new Error(`invalid value '${value}' for --${name} (expected ${option.choices.join(', ')})`);
+            }
+            options[name] = value;
+        };
+
+        for (let i = 0; i < words.length; i++) {
+            const word = words[i];
+
+            // "--" ends the options, everything after is positional
+            if (word === '--') {
+                positionals.push(...words.slice(i + 1));
+                break;
+            }
+
+            const numeric = /^-\d+$/.test(word) && findNumeric(optionSpecs);
+            if (word === '--help' || word === '-h') {
+                help = true;
+            } else if (numeric) {
+                setOption(numeric, word.slice(1));
+            } else if (word.startsWith('--')) {
+                const [name, inline] = splitOnce(word.slice(2), '=');
+                const option = getOption(optionSpecs, name);
+                if (!option) {
+                    throw new Error(`unknown option '--${name}'`);
+                }
+
+                if (!option.value) {
+                    if (inline !== null) throw new Error(`option '--${name}' takes no value`);
+                    options[name] = true;
+                } else if (inline !== null) {
+                    setOption(name, inline);
+                } else if (i + 1 < words.length) {
+                    setOption(name, words[++i]);
+                } else {
+                    throw new Error(`option '--${name}' needs a value`);
+                }
+            } else if (word.startsWith('-') && word.length > 1) {
+                // -abc = -a -b -c; a short option with a value takes the rest (-fjson) or the next word
+                for (let j = 1; j < word.length; j++) {
+                    const name = findShort(optionSpecs, word[j]);
+                    if (!name) {
+                        throw new Error(`unknown option '-${word[j]}'`);
+                    }
+
+                    if (!optionSpecs[name].value) {
+                        options[name] = true;
+                        continue;
+                    }
+
+                    const rest = word.slice(j + 1);
+                    if (rest) {
+                        setOption(name, rest);
+                    } else if (i + 1 < words.length) {
+                        setOption(name, words[++i]);
+                    } else {
+                        throw new Error(`option '-${word[j]}' needs a value`);
+                    }
+                    break;
+                }
+            } else {
+                positionals.push(word);
+            }
+        }
+
+        // --help skips validation - the user is asking how to call it
+        if (help) {
+            return { args: {}, options, help };
+        }
+
+        const args = {};
+        argSpecs.forEach((arg, index) => {
+            if (arg.variadic) {
+                args[arg.name] = positionals.slice(index);
+            } else {
+                args[arg.name] = index < positionals.length ? positionals[index] : null;
+            }
+            if (!arg.optional && (arg.variadic ? args[arg.name].length === 0 : args[arg.name] === null)) {
+                throw new Error(`missing argument <${arg.name}>`);
+            }
+        });
+
+        const takesRest = argSpecs.some(arg => arg.variadic);
+        if (!takesRest && positionals.length > argSpecs.length) {
+            throw new Error(`unexpected argument '${positionals[argSpecs.length]}'`);
+        }
+
+        return { args, options, help };
+    }
+
+    /**
+     * Option declared by the command (not one inherited from Object, like --constructor)
+     */
+    function getOption(optionSpecs, name) {
+        return Object.prototype.hasOwnProperty.call(optionSpecs, name) ? optionSpecs[name] : null;
+    }
+
+    function splitOnce(text, separator) {
+        const index = text.indexOf(separator);
+        if (index === -1) return [text, null];
+        return [text.slice(0, index), text.slice(index + 1)];
+    }
+
+    // ================================
+    // Completion
+    // ================================
+
+    // Case- and accent-insensitive form used to match typed text ("uala" → "Ualá")
+    function fold(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    function findShort(optionSpecs, letter) {
+        return Object.keys(optionSpecs).find(name => optionSpecs[name].short === letter);
+    }
+
+    function findNumeric(optionSpecs) {
+        return Object.keys(optionSpecs).find(name => optionSpecs[name].numeric) || null;
+    }
+
+    function getOptionValues(option) {
+        if (option.choices) return option.choices;
+        return typeof option.complete === 'function' ? option.complete() : [];
+    }
+
+    /**
+     * Candidates for the word being typed after a command name.
+     * Walks the finished words like parseArgs, to tell an option value
+     * from a positional argument.
+     */
+    function getArgumentCandidates(spec, words, word) {
+        const optionSpecs = spec.options || {};
+        const args = [];
+        let pending = null;         // Option whose value is being typed
+        let endOfOptions = false;
+
+        words.forEach(finished => {
+            if (pending) {
+                pending = null;
+            } else if (endOfOptions || !finished.startsWith('-') || finished === '-') {
+                args.push(finished);
+            } else if (finished === '--') {
+                endOfOptions = true;
+            } else if (finished.startsWith('--')) {
+                const [name, inline] = splitOnce(finished.slice(2), '=');
+                const option = getOption(optionSpecs, name);
+                if (option && option.value && inline === null) pending = option;
+            } else {
+                // Short group: a value option as its last letter takes the next word
+                for (let j = 1; j < finished.length; j++) {
+                    const name = findShort(optionSpecs, finished[j]);
+                    if (name && optionSpecs[name].value) {
+                        if (j === finished.length - 1) pending = optionSpecs[name];
+                        break;
+                    }
+                }
+            }
+        });
+
+        if (pending) {
+            return getOptionValues(pending);
+        }
+
+        if (!endOfOptions && word.startsWith('--') && word.includes('=')) {
+            const [name] = splitOnce(word.slice(2), '=');
+            const option = getOption(optionSpecs, name);
+            return option && option.value ? getOptionValues(option).map(value => `--${name}=${value}`) : [];
+        }
+
+        if (!endOfOptions && word.startsWith('-')) {
+            return [...Object.keys(optionSpecs).map(name => `--${name}`), '--help'];
+        }
+
+        return typeof spec.complete === 'function' ? spec.complete({ index: args.length, args, word }) : [];
+    }
+
+    /**
+     * Completion candidates for the word at the end of a (partial) command line
+     * @param {string} line - Text before the cursor
+     * @param {Object} commands - name → definition. Definitions may add
+     *        complete({ index, args, word }) for positionals and options complete() for values.
+     * @returns {{ start: number, quote: string|null, candidates: string[] }}
+     *          start: where the typed word begins in line; quote: quote it left open
+     */
+    function complete(line, commands) {
+        const { tokens, current, start, quote } = scan(line);
+        const word = current || '';
+
+        // Only the command after the last |, && or ; matters
+        const lastOperator = tokens.map(token => typeof token === 'string').lastIndexOf(false);
+        const words = tokens.slice(lastOperator + 1);
+        let candidates = [];
+
+        if (words.length === 0) {
+            candidates = Object.keys(commands);
+        } else {
+            const name = words[0].toLowerCase();
+            if (Object.prototype.hasOwnProperty.call(commands, name)) {
+                candidates = getArgumentCandidates(commands[name], words.slice(1), word);
+            }
+        }
+
+        const typed = fold(word);
+        candidates = [...new Set(candidates)].filter(candidate => fold(candidate).startsWith(typed));
+        return { start, quote, candidates };
+    }
+
+    /**
+     * Longest shared start of the candidates (case- and accent-insensitive),
+     * spelled like the first one
+     * @param {string[]} candidates
+     * @returns {string}
+     */
+    function commonPrefix(candidates) {
+        if (candidates.length === 0) return '';
+
+        const [first, ...rest] = candidates;
+        let length = first.length;
+        rest.forEach(candidate => {
+            let i = 0;
+            while (i < length && i < candidate.length && fold(first[i]) === fold(candidate[i])) {
+                i++;
+            }
+            length = i;
+        });
+        return first.slice(0, length);
+    }
+
+    // ================================
+    // Usage
+    // ================================
+
+    /**
+     * One-line signature, e.g. "experience [-b] [-c <name>] [--format <text|json>]"
+     * @param {string} name - Command name
+     * @param {Object} spec - Command definition (see parseArgs)
+     * @returns {string}
+     */
+    function formatUsage(name, spec = {}) {
+        const parts = [name];
+
+        Object.entries(spec.options || {}).forEach(([optionName, option]) => {
+            const flag = option.short ? `-${option.short}` : `--${optionName}`;
+            if (option.numeric) {
+                parts.push(`[${flag} <${option.value}> | -<${option.value}>]`);
+            } else {
+                parts.push(option.value ? `[${flag} <${option.value}>]` : `[${flag}]`);
+            }
+        });
+
+        (spec.args || []).forEach(arg => {
+            const label = arg.variadic ? `${arg.name}...` : arg.name;
+            parts.push(arg.optional ? `[${label}]` : `<${label}>`);
+        });
+
+        return parts.join(' ');
+    }
+
+    /**
+     * Option lines for `help <command>`: [flags, description] pairs
+     * @param {Object} spec - Command definition (see parseArgs)
+     * @returns {Array<[string, string]>}
+     */
+    function describeOptions(spec = {}) {
+        const rows = [];
+        Object.entries(spec.options || {}).forEach(([name, option]) => {
+            const flags = (option.short ? `-${option.short}, ` : '    ') + `--${name}` +
+                (option.value ? ` <${option.value}>` : '');
+            rows.push([flags, option.description || '']);
+
+            if (option.numeric) {
+                const flag = option.short ? `-${option.short}` : `--${name}`;
+                rows.push([`-<${option.value}>`, `Same as ${flag} <${option.value}>`]);
+            }
+        });
+        rows.push(['-h, --help', 'Show this usage']);
+        return rows;
+    }
+
+    // ================================
+    // Export API
+    // ================================
+    window.TerminalShell = {
+        tokenize,
+        parse,
+        quoteWord,
+        expandHistory,
+        parseArgs,
+        complete,
+        commonPrefix,
+        fold,
+        formatUsage,
+        describeOptions
+    };
+})();
@@ -0,0 +1,1382 @@
+// ================================
+// Terminal App
+// Factory for independent terminal windows, each with
+// its own WindowManager and output, sharing a command
+// history that survives reloads (localStorage)
+// ================================
+
+(function() {
+    'use strict';
+
+    // ================================
+    // Constants
+    // ================================
+    const APP_ID = 'terminal';
+    const MAX_HISTORY = 500;
+    const HISTORY_KEY = 'terminalHistory';
+    const CASCADE_OFFSET = 30; // px each extra window is shifted down-right
+    const COMPLETION_COLUMNS = 80; // characters per row when listing completions
+    const PROMPT_USER = 'pablo@portfolio';
+
+    // ================================
+    // State
+    // ================================
+
+    // Live terminals in creation order
+    let terminals = [];
+
+    // CV as files, shared by every terminal (built on first use)
+    let fileSystem = null;
+
+    // Commands run in any terminal, oldest first, no duplicates (loaded on first use)
+    let history = null;
+
+    // ================================
+    // Create Terminal
+    // ================================
+
+    /**
+     * Lowest free window number (1 → 'terminal', 2 → 'terminal-2', ...)
+     */
+    function nextIndex() {
+        let index = 1;
+        while (terminals.some(terminal => terminal.index === index)) {
+            index++;
+        }
+        return index;
+    }
+
+    function createTerminal() {
+        const index = nextIndex();
+        const windowId = index === 1 ? APP_ID : `${APP_ID}-${index}`;
+        const title = index === 1 ? 'terminal' : `terminal ${index}`;
+
+        const panel = document.createElement('div');
+        panel.className = 'terminal-panel';
+        panel.id = `${windowId}-panel`;
+        panel.innerHTML = `
+            <div class="terminal-panel-titlebar">
+                <div class="traffic-lights">
+                    <button type="button" class="light red" aria-label="Close"></button>
+                    <button type="button" class="light yellow" aria-label="Minimize"></button>
+                    <button type="button" class="light green" aria-label="Zoom"></button>
+                </div>
+                <span class="terminal-panel-title" id="${windowId}-title">pablo@portfolio — ${title}</span>
+            </div>
+            <div class="terminal-panel-content">
+                <div class="panel-output">
+                    <div class="panel-line">
+                        <span class="output-text">Welcome to interactive portfolio!</span>
+                    </div>
+                    <div class="panel-line">
+                        <span class="output-text">Type <span class="cmd-highlight">help</span> to see available commands.</span>
+                    </div>
+                    <div class="panel-line">
+                        <span class="output-text">&nbsp;</span>
+                    </div>
+                </div>
+                <div class="panel-input-line">
+                    <span class="prompt">${PROMPT_USER}:~$</span>
+                    <input type="text" class="panel-input" autocomplete="off" spellcheck="false" aria-label="Terminal command input">
+                </div>
+            </div>
+        `;
+
+        // Cascade extra windows so they don't open exactly on top of each other
+        if (index > 1) {
+            const offset = (index - 1) * CASCADE_OFFSET;
+            panel.style.left = `calc(50% + ${offset}px)`;
+            panel.style.top = `calc(50% - 35px + ${offset}px)`;
+        }
+
+        document.body.appendChild(panel);
+
+        const terminal = {
+            index,
+            windowId,
+            panel,
+            output: panel.querySelector('.panel-output'),
+            input: panel.querySelector('.panel-input'),
+            historyIndex: getHistory().length,
+            search: null,           // Ctrl+R state: { query, index, original, failed }
+            killed: '',             // Last text cut with Ctrl+U/K/W, pasted by Ctrl+Y
+            lastTab: null,          // Input value at the last Tab that completed nothing
+            cwd: [],                // Current directory, as names below ~
+            hasUnread: false,
+            attended: false,        // Inside the keypress that ran a command - its output is seen
+            job: null,              // AbortController of the command line still running (sleep)
+            windowManager: null,
+            unbindEscape: null
+        };
+
+        terminal.input.addEventListener('keydown', (e) => handleInput(terminal, e));
+        terminal.input.addEventListener('blur', () => endSearch(terminal));
+        initTerminalWindow(terminal);
+
+        terminals.push(terminal);
+        return terminal;
+    }
+
+    // ================================
+    // Terminal Window Manager
+    // ================================
+    function initTerminalWindow(terminal) {
+        const { panel } = terminal;
+        const titlebar = panel.querySelector('.terminal-panel-titlebar');
+        const lights = panel.querySelectorAll('.light');
+
+        const manager = new WindowManager({
+            element: panel,
+            titlebar: titlebar,
+            windowId: terminal.windowId,
+            appId: APP_ID,
+            persist: true,
+            appName: 'Terminal',
+            titleElement: panel.querySelector('.terminal-panel-title'),
+            activeClass: 'active',
+            minWidth: 420,
+            minHeight: 240,
+            preventDragOn: ['.traffic-lights'],
+            trafficLights: {
+                close: lights[0],
+                minimize: lights[1],
+                maximize: lights[2]
+            }
+        });
+        terminal.windowManager = manager;
+
+        // Dock indicator follows window:* events, menubar follows FocusManager
+        manager.on('close', () => destroyTerminal(terminal));
+        manager.on('maximize', () => terminal.input.focus());
+        manager.on('restore', () => terminal.input.focus());
+        manager.on('focus', () => markRead(terminal));
+
+        // Close with Escape (only while this terminal is the focused window)
+        terminal.unbindEscape = ShortcutManager.register('Escape', () => closeTerminal(terminal), {
+            scope: terminal.windowId,
+            allowInInput: true
+        });
+    }
+
+    /**
+     * Tear down a closed terminal - a new one is created on the next open
+     */
+    function destroyTerminal(terminal) {
+        terminals = terminals.filter(item => item !== terminal);
+        terminal.unbindEscape();
+        if (terminal.job) {
+            terminal.job.abort();
+        }
+        updateUnreadBadge();
+
+        // Only the first terminal comes back where it was - a later terminal-N is a new window
+        if (terminal.index > 1) {
+            terminal.windowManager.clearSavedState();
+        }
+        terminal.windowManager.destroy();
+
+        // Remove after the fade-out transition
+        setTimeout(() => terminal.panel.remove(), 300);
+    }
+
+    // ================================
+    // Terminal Open/Close
+    // ================================
+
+    function showTerminal(terminal) {
+        // open() restores a minimized terminal and focuses an open one
+        if (!terminal.windowManager.open()) return;
+
+        // Delay focus to ensure panel is visible after CSS transition
+        setTimeout(() => terminal.input.focus(), 50);
+    }
+
+    /**
+     * Bring the most recently used terminal forward, or open the first one
+     */
+    function openTerminal() {
+        const stack = FocusManager.stack.filter(manager => manager.appId === APP_ID);
+        const recent = stack.length > 0 ? stack[stack.length - 1] : null;
+        const terminal = terminals.find(item => item.windowManager === recent);
+
+        showTerminal(terminal || createTerminal());
+    }
+
+    /**
+     * Always open another terminal window
+     */
+    function newTerminal() {
+        showTerminal(createTerminal());
+    }
+
+    function closeTerminal(terminal) {
+        terminal.windowManager.close();
+    }
+
+    function getTerminals() {
+        return [...terminals];
+    }
+
+    // ================================
+    // Terminal Input
+    // ================================
+    function handleInput(terminal, e) {
+        const { input } = terminal;
+
+        if (terminal.search && handleSearchKey(terminal, e)) return;
+
+        if (e.key !== 'Tab') {
+            terminal.lastTab = null;
+        }
+
+        if (handleEditingKey(terminal, e)) return;
+
+        if (e.key === 'Tab') {
+            e.preventDefault();
+            completeInput(terminal);
+        } else if (e.key === 'Enter') {
+            // One command line at a time - Ctrl+C stops the one running
+            if (terminal.job) return;
+            processCommand(terminal, input.value);
+            input.value = '';
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            const entries = getHistory();
+            if (terminal.historyIndex > 0) {
+                terminal.historyIndex = Math.min(terminal.historyIndex, entries.length) - 1;
+                input.value = entries[terminal.historyIndex];
+            }
+        } else if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            const entries = getHistory();
+            if (terminal.historyIndex < entries.length - 1) {
+                terminal.historyIndex++;
+                input.value = entries[terminal.historyIndex];
+            } else {
+                terminal.historyIndex = entries.length;
+                input.value = '';
+            }
+        }
+    }
+
+    // ================================
+    // Line Editing (readline keys)
+    // ================================
+
+    /**
+     * Emacs-style editing keys. Handled keys are preventDefault()ed, so the
+     * browser and ShortcutManager leave them alone.
+     * @returns {boolean} true if the key was used
+     */
+    function handleEditingKey(terminal, e) {
+        const { input } = terminal;
+        const { value } = input;
+        const cursor = input.selectionStart ?? value.length;
+
+        let key = null;
+        if (e.ctrlKey && !e.metaKey && !e.altKey) {
+            key = `Ctrl+${e.key.toLowerCase()}`;
+        } else if (e.altKey && !e.ctrlKey && !e.metaKey) {
+            // By code: Option+B types '∫' on a Mac
+            key = `Alt+${e.code}`;
+        }
+
+        switch (key) {
+            case 'Ctrl+a':
+                setCursor(input, 0);
+                break;
+            case 'Ctrl+e':
+                setCursor(input, value.length);
+                break;
+            case 'Alt+KeyB':
+                setCursor(input, findWordStart(value, cursor, isWordChar));
+                break;
+            case 'Alt+KeyF':
+                setCursor(input, findWordEnd(value, cursor, isWordChar));
+                break;
+            case 'Ctrl+u':
+                killText(terminal, 0, cursor);
+                break;
+            case 'Ctrl+k':
+                killText(terminal, cursor, value.length);
+                break;
+            case 'Ctrl+w':
+                // Back to the previous space, like bash (paths go in one piece)
+                killText(terminal, findWordStart(value, cursor, isNotSpace), cursor);
+                break;
+            case 'Ctrl+y':
+                insertText(input, terminal.killed);
+                break;
+            case 'Ctrl+r':
+                startSearch(terminal);
+                break;
+            case 'Ctrl+l':
+                clearScreen(terminal);
+                break;
+            case 'Ctrl+c':
+                // Selected text: let the browser copy it
+                if (input.selectionStart !== input.selectionEnd) return false;
+                cancelLine(terminal);
+                break;
+            default:
+                return false;
+        }
+
+        e.preventDefault();
+        return true;
+    }
+
+    function isWordChar(char) {
+        return /[\p{L}\p{N}]/u.test(char);
+    }
+
+    function isNotSpace(char) {
+        return /\S/.test(char);
+    }
+
+    function setCursor(input, position) {
+        input.setSelectionRange(position, position);
+    }
+
+    /**
+     * Start of the word before the cursor (skipping the gap before it)
+     */
+    function findWordStart(value, cursor, inWord) {
+        let index = cursor;
+        while (index > 0 && !inWord(value[index - 1])) index--;
+        while (index > 0 && inWord(value[index - 1])) index--;
+        return index;
+    }
+
+    /**
+     * End of the word after the cursor (skipping the gap before it)
+     */
+    function findWordEnd(value, cursor, inWord) {
+        let index = cursor;
+        while (index < value.length && !inWord(value[index])) index++;
+        while (index < value.length && inWord(value[index])) index++;
+        return index;
+    }
+
+    /**
+     * Cut text from the line, keeping it for Ctrl+Y
+     */
+    function killText(terminal, from, to) {
+        if (from === to) return;
+
+        const { input } = terminal;
+        terminal.killed = input.value.slice(from, to);
+        input.value = input.value.slice(0, from) + input.value.slice(to);
+        setCursor(input, from);
+    }
+
+    function insertText(input, text) {
+        const start = input.selectionStart ?? input.value.length;
+        const end = input.selectionEnd ?? start;
+        input.value = input.value.slice(0, start) + text + input.value.slice(end);
+        setCursor(input, start + text.length);
+    }
+
+    /**
+     * Ctrl+C: drop the line, leaving it in the output with ^C (like bash)
+     */
+    function cancelLine(terminal) {
+        if (terminal.job) {
+            terminal.job.abort();
+            return;
+        }
+
+        const { input } = terminal;
+        addLine(terminal, `<span class="output-prompt">${escapeHtml(getPrompt(terminal))}</span> <span class="output-command">${escapeHtml(input.value)}</span>^C`);
+        input.value = '';
+        terminal.historyIndex = getHistory().length;
+    }
+
+    function clearScreen(terminal) {
+        terminal.output.innerHTML = '';
+    }
+
+    // ================================
+    // Command History
+    // ================================
+
+    function getHistory() {
+        if (history) return history;
+
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(HISTORY_KEY));
+        } catch (e) {
+            saved = null;
+        }
+        history = Array.isArray(saved) ? saved.filter(entry => typeof entry === 'string').slice(-MAX_HISTORY) : [];
+        return history;
+    }
+
+    function saveHistory() {
+        try {
+            localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+        } catch (e) {
+            // Storage full or unavailable - history still works until reload
+        }
+    }
+
+    /**
+     * Append a command; an earlier copy of it moves to the end instead of repeating
+     */
+    function addToHistory(command) {
+        const entries = getHistory();
+        const existing = entries.indexOf(command);
+        if (existing !== -1) {
+            entries.splice(existing, 1);
+        }
+        entries.push(command);
+        if (entries.length > MAX_HISTORY) {
+            entries.shift();
+        }
+        saveHistory();
+    }
+
+    function clearHistory() {
+        history = [];
+        saveHistory();
+        terminals.forEach(terminal => {
+            terminal.historyIndex = 0;
+        });
+    }
+
+    // ================================
+    // Reverse Search (Ctrl+R)
+    // ================================
+
+    function startSearch(terminal) {
+        terminal.search = {
+            query: '',
+            index: getHistory().length,     // Entry shown (length = none yet)
+            original: terminal.input.value, // Restored on Escape / Ctrl+G
+            failed: false
+        };
+        renderSearch(terminal);
+    }
+
+    /**
+     * Keys while searching: typing narrows, Ctrl+R finds the next older match,
+     * Enter runs the match, Escape/Ctrl+G cancels. Anything else (arrows, Tab...)
+     * keeps the match on the line and is handled as usual.
+     * @returns {boolean} true if the key was used by the search
+     */
+    function handleSearchKey(terminal, e) {
+        const { search, input } = terminal;
+        const key = e.key.toLowerCase();
+
+        if (['shift', 'control', 'alt', 'meta'].includes(key)) return true;
+
+        if (e.ctrlKey && !e.metaKey && !e.altKey && key === 'r') {
+            e.preventDefault();
+            findMatch(terminal, search.index - 1);
+        } else if (e.key === 'Escape' || (e.ctrlKey && key === 'g')) {
+            // Handled here, so the terminal's Escape shortcut doesn't close the window
+            e.preventDefault();
+            input.value = search.original;
+            endSearch(terminal);
+        } else if (e.key === 'Backspace') {
+            e.preventDefault();
+            // Start over from the newest entry with the shorter query
+            search.query = search.query.slice(0, -1);
+            search.index = getHistory().length;
+            findMatch(terminal, search.index);
+        } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            e.preventDefault();
+            search.query += e.key;
+            findMatch(terminal, search.index);
+        } else {
+            endSearch(terminal);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Newest entry containing the query, looking back from `from`
+     */
+    function findMatch(terminal, from) {
+        const { search, input } = terminal;
+        const entries = getHistory();
+
+        search.failed = false;
+        if (search.query !== '') {
+            let index = Math.min(from, entries.length - 1);
+            while (index >= 0 && !entries[index].includes(search.query)) {
+                index--;
+            }
+
+            if (index === -1) {
+                search.failed = true;
+            } else {
+                search.index = index;
+                input.value = entries[index];
+                const position = entries[index].indexOf(search.query);
+                input.setSelectionRange(position, position);
+            }
+        }
+        renderSearch(terminal);
+    }
+
+    function renderSearch(terminal) {
+        const { query, failed } = terminal.search;
+        terminal.panel.querySelector('.prompt').textContent =
+            `(${failed ? 'failed ' : ''}reverse-i-search)\`${query}':`;
+    }
+
+    /**
+     * Leave search mode, keeping whatever is on the line
+     */
+    function endSearch(terminal) {
+        if (!terminal.search) return;
+
+        terminal.historyIndex = Math.min(terminal.search.index, getHistory().length);
+        terminal.search = null;
+        updatePrompt(terminal);
+    }
+
+    // ================================
+    // Tab Completion
+    // ================================
+
+    /**
+     * Complete the word before the cursor: a single match is filled in,
+     * several extend to their shared start, a second Tab lists them (like bash)
+     */
+    function completeInput(terminal) {
+        const { input } = terminal;
+        const cursor = input.selectionStart ?? input.value.length;
+        const before = input.value.slice(0, cursor);
+        const after = input.value.slice(cursor);
+
+        const { start, quote, candidates } = TerminalShell.complete(before, getCommands(terminal));
+        const secondTab = terminal.lastTab === input.value;
+        terminal.lastTab = null;
+        if (candidates.length === 0) return;
+
+        let completed;
+        if (candidates.length === 1) {
+            // Paths ending in / keep going, anything else is a finished word
+            const [candidate] = candidates;
+            const finished = !candidate.endsWith('/') && !/^\s/.test(after);
+            completed = TerminalShell.quoteWord(candidate, quote) + (finished ? ' ' : '');
+        } else {
+            completed = TerminalShell.quoteWord(TerminalShell.commonPrefix(candidates), quote, false);
+        }
+
+        if (completed !== before.slice(start)) {
+            input.value = before.slice(0, start) + completed + after;
+            const position = start + completed.length;
+            input.setSelectionRange(position, position);
+        } else if (secondTab) {
+            listCandidates(terminal, candidates);
+        } else {
+            terminal.lastTab = input.value;
+        }
+    }
+
+    function listCandidates(terminal, candidates) {
+        const width = Math.max(...candidates.map(candidate => candidate.length)) + 2;
+        const perRow = Math.max(1, Math.floor(COMPLETION_COLUMNS / width));
+        const rows = [];
+        for (let i = 0; i < candidates.length; i += perRow) {
+            rows.push(candidates.slice(i, i + perRow).map(candidate => candidate.padEnd(width)).join('').trimEnd());
+        }
+
+        addLine(terminal, `<span class="output-prompt">${escapeHtml(getPrompt(terminal))}</span> <span class="output-command">${escapeHtml(terminal.input.value)}</span>`);
+        addLine(terminal, escapeHtml(rows.join('\n')));
+    }
+
+    // ================================
+    // Command Processing
+    // ================================
+
+    function processCommand(terminal, input) {
+        if (input.trim() === '') return;
+
+        // Output written before the keypress returns is seen as it appears, even if
+        // the command moved focus (new-window). Only a command still running
+        // afterwards (sleep) can finish while the user looks elsewhere.
+        const job = new AbortController();
+        terminal.job = job;
+        terminal.attended = true;
+
+        let done;
+        try {
+            done = runInput(terminal, input);
+        } finally {
+            terminal.attended = false;
+        }
+
+        if (isPending(done)) {
+            done.finally(() => {
+                terminal.job = null;
+            });
+        } else {
+            terminal.job = null;
+        }
+    }
+
+    /**
+     * @returns {Promise|null} Pending while a command of the line is still running
+     */
+    function runInput(terminal, input) {
+        addLine(terminal, `<span class="output-prompt">${escapeHtml(getPrompt(terminal))}</span> <span class="output-command">${escapeHtml(input)}</span>`);
+
+        // !! and !n: show what actually runs (like bash), and remember that instead
+        let line;
+        try {
+            const result = TerminalShell.expandHistory(input, getHistory());
+            line = result.line;
+            if (result.expanded) {
+                addLine(terminal, escapeHtml(line));
+            }
+        } catch (error) {
+            addLine(terminal, `<span class="output-error">${escapeHtml(error.message)}</span>`);
+            addLine(terminal, '&nbsp;');
+            return null;
+        }
+
+        addToHistory(line);
+        terminal.historyIndex = getHistory().length;
+
+        const done = runCommandLine(terminal, line);
+        if (isPending(done)) {
+            return done.then(() => addLine(terminal, '&nbsp;'));
+        }
+        addLine(terminal, '&nbsp;');
+        return null;
+    }
+
+    /**
+     * Run a command line: pipelines chained by ; (always) and && (only after
+     * success). Each pipeline's output is printed before the next one runs,
+     * so `about; clear` ends with an empty screen.
+     * @returns {Promise|null} Pending while a command is still running
+     */
+    function runCommandLine(terminal, line) {
+        let chain;
+        try {
+            chain = TerminalShell.parse(line);
+        } catch (error) {
+            addLine(terminal, `<span class="output-error">${escapeHtml(error.message)}</span>`);
+            return null;
+        }
+
+        return runChain(terminal, chain, getCommands(terminal), 0, 0);
+    }
+
+    /**
+     * Pipelines of the chain from `start` on. Stays synchronous until a command
+     * returns a Promise, then picks up where it left off when that settles.
+     */
+    function runChain(terminal, chain, commands, start, status) {
+        const { signal } = terminal.job;
+
+        for (let index = start; index < chain.length; index++) {
+            if (index > 0 && chain[index - 1].then === '&&' && status !== 0) continue;
+
+            const result = runPipeline(terminal, chain[index].pipeline, commands);
+            if (isPending(result)) {
+                return result.then(({ status: resultStatus, lines }) => {
+                    // Ctrl+C ends the whole line, like bash
+                    if (signal.aborted) {
+                        addLine(terminal, '^C');
+                        return null;
+                    }
+                    showLines(terminal, lines);
+                    return runChain(terminal, chain, commands, index + 1, resultStatus);
+                });
+            }
+
+            status = result.status;
+            showLines(terminal, result.lines);
+        }
+        return null;
+    }
+
+    function showLines(terminal, lines) {
+        if (lines.length > 0) {
+            addLine(terminal, lines.map(outputLine => outputLine.html).join('\n'));
+        }
+    }
+
+    function isPending(value) {
+        return Boolean(value) && typeof value.then === 'function';
+    }
+
+    /**
+     * Run commands left to right, each one's output lines feeding the next one's input
+     * @param {string[][]} pipeline - Words of each command
+     * @param {number} start - Command to start at (when resuming after one that was pending)
+     * @param {Object[]|null} input - Its input lines
+     * @returns {{ status: number, lines: Object[] }|Promise} 0 on success; output of the last
+     *          command (or the error of the one that failed). A Promise of that while a
+     *          command is still running.
+     */
+    function runPipeline(terminal, pipeline, commands, start = 0, input = null) {
+        for (let i = start; i < pipeline.length; i++) {
+            const [name, ...rest] = pipeline[i];
+            const key = name.toLowerCase();
+            if (!Object.prototype.hasOwnProperty.call(commands, key)) {
+                return {
+                    status: 127,
+                    lines: toLines(`<span class="output-error">Command not found: ${escapeHtml(name)}</span>\nType <span class="cmd-highlight">help</span> for available commands.`)
+                };
+            }
+
+            const command = commands[key];
+            const fail = (message, usage) => ({
+                status: 1,
+                lines: toLines(`<span class="output-error">${escapeHtml(key)}: ${escapeHtml(message)}</span>` +
+                    (usage ? `\nUsage: ${escapeHtml(TerminalShell.formatUsage(key, command))}` : ''))
+            });
+
+            // Wrong arguments show the usage, errors while running (missing file...) don't
+            let parsed;
+            try {
+                parsed = TerminalShell.parseArgs(rest, command);
+                if (!parsed.help && command.filter && input === null) {
+                    throw new Error(`reads piped output, e.g. skills | ${key}`);
+                }
+            } catch (error) {
+                return fail(error.message, true);
+            }
+
+            let output;
+            try {
+                output = parsed.help ? formatCommandHelp(key, command) : command.run({ ...parsed, input });
+            } catch (error) {
+                return fail(error.message, false);
+            }
+
+            const isLast = i === pipeline.length - 1;
+            if (isPending(output)) {
+                // From here on the user may be looking at another window
+                terminal.attended = false;
+                return output.then(
+                    value => runPipeline(terminal, pipeline, commands, i + 1, pipeInput(value, isLast)),
+                    error => fail(error.message, false)
+                );
+            }
+            input = pipeInput(output, isLast);
+        }
+
+        return { status: 0, lines: input };
+    }
+
+    function pipeInput(output, isLast) {
+        // Blank lines around a command's output are spacing, not data for the next command
+        return isLast ? toLines(output) : trimBlankLines(toLines(output));
+    }
+
+    // ================================
+    // Output Lines
+    // ================================
+
+    /**
+     * Command output as lines the filters can read: { html, text }
+     * @param {string|Object[]|null} output - HTML (one line per \n) or lines already
+     * @returns {Object[]}
+     */
+    function toLines(output) {
+        if (Array.isArray(output)) return output;
+        if (output === null || output === undefined) return [];
+
+        return String(output).split('\n').map(html => ({ html, text: htmlToText(html) }));
+    }
+
+    function textLine(text) {
+        return { html: escapeHtml(text), text };
+    }
+
+    function htmlToText(html) {
+        const div = document.createElement('div');
+        div.innerHTML = html;
+        return div.textContent;
+    }
+
+    function trimBlankLines(lines) {
+        let start = 0;
+        let end = lines.length;
+        while (start < end && lines[start].text.trim() === '') start++;
+        while (end > start && lines[end - 1].text.trim() === '') end--;
+        return lines.slice(start, end);
+    }
+
+    function addLine(terminal, html) {
+        const line = document.createElement('div');
+        line.className = 'panel-line';
+        line.innerHTML = `<span class="output-text">${html}</span>`;
+        terminal.output.appendChild(line);
+        terminal.output.scrollTop = terminal.output.scrollHeight;
+
+        // Output that lands while the user looks elsewhere is unread
+        if (!terminal.attended && !terminal.windowManager.isFocused()) {
+            terminal.hasUnread = true;
+            updateUnreadBadge();
+        }
+    }
+
+    // ================================
+    // Unread Output
+    // ================================
+
+    function markRead(terminal) {
+        if (!terminal.hasUnread) return;
+        terminal.hasUnread = false;
+        updateUnreadBadge();
+    }
+
+    /**
+     * Dock badge = number of terminals with output the user hasn't seen
+     */
+    function updateUnreadBadge() {
+        if (typeof Dock === 'undefined') return;
+        Dock.setBadge(APP_ID, terminals.filter(terminal => terminal.hasUnread).length);
+    }
+
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    function formatAsTree(items, indent = '  ') {
+        return items.map((item, i) => {
+            const isLast = i === items.length - 1;
+            const branch = isLast ? '└──' : '├──';
+            return `${indent}${branch} ${item}`;
+        }).join('\n');
+    }
+
+    /**
+     * Line count of head/tail -n and history
+     */
+    function parseCount(value) {
+        if (!/^\d+$/.test(value)) {
+            throw new Error(`invalid line count '${value}'`);
+        }
+        return Number(value);
+    }
+
+    function formatJson(value) {
+        return escapeHtml(JSON.stringify(value, null, 2));
+    }
+
+    /**
+     * Case- and accent-insensitive substring match ("uala" finds "Ualá")
+     */
+    function matchesQuery(text, query) {
+        return TerminalShell.fold(text).includes(TerminalShell.fold(query));
+    }
+
+    /**
+     * `help <command>` / `<command> --help`: description, usage and options
+     */
+    function formatCommandHelp(name, command) {
+        let output = `\n<span class="output-title">${escapeHtml(name)}</span> - ${escapeHtml(command.description)}\n`;
+        output += `\nUsage: ${escapeHtml(TerminalShell.formatUsage(name, command))}\n`;
+
+        const described = (command.args || []).filter(arg => arg.description);
+        if (described.length > 0) {
+            output += '\n<span class="output-subtitle">Arguments:</span>\n';
+            described.forEach(arg => {
+                output += `  ${escapeHtml(arg.name.padEnd(24))}<span class="output-muted">${escapeHtml(arg.description)}</span>\n`;
+            });
+        }
+
+        output += '\n<span class="output-subtitle">Options:</span>\n';
+        TerminalShell.describeOptions(command).forEach(([flags, description]) => {
+            output += `  ${escapeHtml(flags.padEnd(24))}<span class="output-muted">${escapeHtml(description)}</span>\n`;
+        });
+        return output;
+    }
+
+    // ================================
+    // Filesystem & Prompt
+    // ================================
+
+    function getFileSystem() {
+        if (!fileSystem) {
+            fileSystem = TerminalFS.build(typeof portfolioData !== 'undefined' ? portfolioData : {});
+        }
+        return fileSystem;
+    }
+
+    function getPrompt(terminal) {
+        return `${PROMPT_USER}:${TerminalFS.formatPath(terminal.cwd)}$`;
+    }
+
+    function updatePrompt(terminal) {
+        terminal.panel.querySelector('.prompt').textContent = getPrompt(terminal);
+    }
+
+    function resolvePath(terminal, path) {
+        return TerminalFS.resolve(getFileSystem(), terminal.cwd, path);
+    }
+
+    /**
+     * Tab candidates for a path being typed: entries of the directory it names so far
+     * @param {string} word - e.g. "experience/u"
+     * @param {boolean} dirsOnly - Leave files out (cd)
+     */
+    function completePath(terminal, word, dirsOnly = false) {
+        const slash = word.lastIndexOf('/');
+        const dirPart = slash === -1 ? '' : word.slice(0, slash + 1);
+
+        let node;
+        try {
+            node = resolvePath(terminal, dirPart || '.').node;
+        } catch (e) {
+            return [];
+        }
+        if (node.type !== 'dir') return [];
+
+        return TerminalFS.list(node)
+            .filter(([, child]) => !dirsOnly || child.type === 'dir')
+            .map(([name, child]) => `${dirPart}${name}${child.type === 'dir' ? '/' : ''}`);
+    }
+
+    function formatEntry(name, node) {
+        return node.type === 'dir'
+            ? `<span class="output-subtitle">${escapeHtml(name)}/</span>`
+            : escapeHtml(name);
+    }
+
+    /**
+     * `tree` drawing of a directory, one line per entry
+     * @returns {{ lines: string[], dirs: number, files: number }}
+     */
+    function formatTree(node, indent = '') {
+        const result = { lines: [], dirs: 0, files: 0 };
+        const entries = TerminalFS.list(node);
+
+        entries.forEach(([name, child], i) => {
+            const isLast = i === entries.length - 1;
+            result.lines.push(`${indent}${isLast ? '└──' : '├──'} ${formatEntry(name, child)}`);
+
+            if (child.type === 'dir') {
+                const sub = formatTree(child, indent + (isLast ? '    ' : '│   '));
+                result.lines.push(...sub.lines);
+                result.dirs += sub.dirs + 1;
+                result.files += sub.files;
+            } else {
+                result.files++;
+            }
+        });
+        return result;
+    }
+
+    // ================================
+    // Commands
+    // ================================
+
+    // Shared by commands that can print their data as JSON
+    const FORMAT_OPTION = {
+        short: 'f',
+        value: 'format',
+        choices: ['text', 'json'],
+        default: 'text',
+        description: 'Output format (text, json)'
+    };
+
+    /**
+     * Command table: name → { description, args, options, run, complete, filter }.
+     * args/options are the signature TerminalShell.parseArgs checks;
+     * run receives the parsed { args, options, input } and returns output HTML
+     * (or lines, or null) - input holds the piped lines, null outside a pipe;
+     * complete({ index, args }) offers Tab candidates for positional argument `index`;
+     * filter marks commands that need piped input.
+     */
+    function getCommands(terminal) {
+        const data = typeof portfolioData !== 'undefined' ? portfolioData : {};
+        const unavailable = '<span class="output-error">Data not available</span>';
+
+        const commands = {
+            about: {
+                description: 'About me',
+                run: () => {
+                    const { profile } = data;
+                    if (!profile) return unavailable;
+                    return `
+<span class="output-title">${profile.name}</span>
+<span class="output-subtitle">${profile.title} | ${profile.location}</span>
+
+${profile.bio}
+`;
+                }
+            },
+            skills: {
+                description: 'Technical skills',
+                args: [{ name: 'category', optional: true, description: 'Only this category (e.g. languages, cloud)' }],
+                options: { format: FORMAT_OPTION },
+                complete: ({ index }) => (index === 0 ? Object.keys(data.skills || {}) : []),
+                run: ({ args, options }) => {
+                    const { skills } = data;
+                    if (!skills) return unavailable;
+
+                    let entries = Object.entries(skills);
+                    if (args.category) {
+                        entries = entries.filter(([category]) => matchesQuery(category, args.category));
+                        if (entries.length === 0) {
+                            throw new Error(`no skill category matching '${args.category}' (try: ${Object.keys(skills).join(', ')})`);
+                        }
+                    }
+
+                    if (options.format === 'json') {
+                        return formatJson(Object.fromEntries(entries));
+                    }
+
+                    let output = '\n<span class="output-title">Technical Skills</span>\n';
+                    for (const [category, items] of entries) {
+                        output += `\n<span class="output-subtitle">${category}:</span>\n`;
+                        output += formatAsTree(items) + '\n';
+                    }
+                    return output;
+                }
+            },
+            experience: {
+                description: 'Work experience',
+                options: {
+                    company: {
+                        short: 'c',
+                        value: 'name',
+                        description: 'Only companies matching this name',
+                        complete: () => (data.experience || []).map(job => job.company)
+                    },
+                    brief: { short: 'b', description: 'Roles and periods only, no responsibilities' },
+                    format: FORMAT_OPTION
+                },
+                run: ({ options }) => {
+                    const { experience } = data;
+                    if (!experience) return unavailable;
+
+                    let jobs = experience;
+                    if (options.company) {
+                        jobs = jobs.filter(job => matchesQuery(job.company, options.company));
+                        if (jobs.length === 0) {
+                            throw new Error(`no company matching '${options.company}'`);
+                        }
+                    }
+
+                    if (options.format === 'json') {
+                        return formatJson(jobs);
+                    }
+
+                    let output = '\n<span class="output-title">Professional Experience</span>\n';
+                    jobs.forEach(job => {
+                        output += `\n<span class="output-subtitle">${job.company}</span> <span class="output-muted">(${job.tenure})</span>\n`;
+                        job.roles.forEach(role => {
+                            output += `\n  <span class="output-text">${role.title}</span> <span class="output-muted">| ${role.period}</span>\n`;
+                            if (!options.brief) {
+                                output += formatAsTree(role.responsibilities, '    ') + '\n';
+                            }
+                        });
+                    });
+                    return output;
+                }
+            },
+            education: {
+                description: 'Education & certifications',
+                run: () => {
+                    const { education, certifications } = data;
+                    if (!education) return unavailable;
+                    let output = '\n<span class="output-title">Education</span>\n';
+                    const eduItems = education.map(edu =>
+                        `${edu.institution} - ${edu.degree} <span class="output-muted">(${edu.period})</span>`
+                    );
+                    output += formatAsTree(eduItems) + '\n';
+                    if (certifications) {
+                        output += '\n<span class="output-title">Certifications</span>\n';
+                        output += formatAsTree(certifications);
+                    }
+                    return output;
+                }
+            },
+            contact: {
+                description: 'Contact information',
+                run: () => {
+                    const { contact } = data;
+                    if (!contact) return unavailable;
+                    return `
+<span class="output-title">Contact</span>
+
+  LinkedIn: <a href="${contact.linkedin.url}" target="_blank" rel="noopener noreferrer">${contact.linkedin.display}</a>
+`;
+                }
+            },
+            pwd: {
+                description: 'Print the current directory',
+                run: () => escapeHtml(TerminalFS.formatPath(terminal.cwd, true))
+            },
+            ls: {
+                description: 'List files (the CV as a filesystem)',
+                args: [{ name: 'path', optional: true, variadic: true, description: 'Directories or files (default: current directory)' }],
+                complete: ({ word }) => completePath(terminal, word),
+                run: ({ args }) => {
+                    const paths = args.path.length > 0 ? args.path : ['.'];
+                    const blocks = paths.map(path => {
+                        const { node } = resolvePath(terminal, path);
+                        if (node.type !== 'dir') return escapeHtml(path);
+
+                        const entries = TerminalFS.list(node).map(([name, child]) => formatEntry(name, child));
+                        // Several directories: each under its name, like ls
+                        return paths.length > 1 ? [`${escapeHtml(path)}:`, ...entries].join('\n') : entries.join('\n');
+                    });
+                    return blocks.join('\n\n');
+                }
+            },
+            cd: {
+                description: 'Change directory',
+                args: [{ name: 'path', optional: true, description: 'Directory (default: ~)' }],
+                complete: ({ index, word }) => (index === 0 ? completePath(terminal, word, true) : []),
+                run: ({ args }) => {
+                    const { segments, node } = resolvePath(terminal, args.path || '~');
+                    if (node.type !== 'dir') {
+                        throw new Error(`${args.path}: Not a directory`);
+                    }
+                    terminal.cwd = segments;
+                    updatePrompt(terminal);
+                    return null;
+                }
+            },
+            cat: {
+                description: 'Print files',
+                args: [{ name: 'file', variadic: true, description: 'Files to print, e.g. about.md' }],
+                complete: ({ word }) => completePath(terminal, word),
+                run: ({ args }) => args.file.map(path => {
+                    const { node } = resolvePath(terminal, path);
+                    if (node.type === 'dir') {
+                        throw new Error(`${path}: Is a directory`);
+                    }
+                    return escapeHtml(node.content);
+                }).join('\n')
+            },
+            tree: {
+                description: 'Show a directory and everything below it',
+                args: [{ name: 'path', optional: true, description: 'Directory (default: current directory)' }],
+                complete: ({ index, word }) => (index === 0 ? completePath(terminal, word, true) : []),
+                run: ({ args }) => {
+                    const path = args.path || '.';
+                    const { segments, node } = resolvePath(terminal, path);
+                    if (node.type !== 'dir') {
+                        throw new Error(`${path}: Not a directory`);
+                    }
+
+                    const { lines, dirs, files } = formatTree(node);
+                    const root = `<span class="output-subtitle">${escapeHtml(TerminalFS.formatPath(segments))}</span>`;
+                    const summary = `<span class="output-muted">${dirs} ${dirs === 1 ? 'directory' : 'directories'}, ${files} ${files === 1 ? 'file' : 'files'}</span>`;
+                    return [root, ...lines, '', summary].join('\n');
+                }
+            },
+            sleep: {
+                description: 'Wait a number of seconds (Ctrl+C stops it)',
+                args: [{ name: 'seconds', description: 'e.g. 5 or 0.5' }],
+                run: ({ args }) => {
+                    if (!/^\d+(\.\d+)?$/.test(args.seconds)) {
+                        throw new Error(`invalid time interval '${args.seconds}'`);
+                    }
+
+                    const { signal } = terminal.job;
+                    return new Promise((resolve, reject) => {
+                        const timer = setTimeout(() => resolve(null), Number(args.seconds) * 1000);
+                        signal.addEventListener('abort', () => {
+                            clearTimeout(timer);
+                            reject(new Error('interrupted'));
+                        });
+                    });
+                }
+            },
+            'new-window': {
+                description: 'Open another terminal window',
+                run: () => {
+                    newTerminal();
+                    return null;
+                }
+            },
+            history: {
+                description: 'Previous commands (run one again with !n, or !! for the last)',
+                args: [{ name: 'count', optional: true, description: 'Show only the last <count> commands' }],
+                options: { clear: { short: 'c', description: 'Forget every command' } },
+                run: ({ args, options }) => {
+                    if (options.clear) {
+                        clearHistory();
+                        return null;
+                    }
+
+                    const entries = getHistory();
+                    const count = args.count === null ? entries.length : parseCount(args.count);
+                    const width = String(entries.length).length;
+                    return entries
+                        .map((entry, i) => `  <span class="output-muted">${String(i + 1).padStart(width)}</span>  ${escapeHtml(entry)}`)
+                        .slice(entries.length - Math.min(count, entries.length))
+                        .join('\n');
+                }
+            },
+            clear: {
+                description: 'Clear terminal (or Ctrl+L)',
+                run: () => {
+                    clearScreen(terminal);
+                    return null;
+                }
+            },
+            help: {
+                description: 'Show this help message',
+                args: [{ name: 'command', optional: true, description: 'Command to show usage and options for' }],
+                complete: ({ index }) => (index === 0 ? Object.keys(commands) : []),
+                run: ({ args }) => {
+                    if (args.command) {
+                        const name = args.command.toLowerCase();
+                        if (!Object.prototype.hasOwnProperty.call(commands, name)) {
+                            throw new Error(`no such command '${args.command}'`);
+                        }
+                        return formatCommandHelp(name, commands[name]);
+                    }
+
+                    const width = Math.max(...Object.keys(commands).map(name => name.length)) + 1;
+                    const rows = (filters) => Object.entries(commands)
+                        .filter(([, command]) => Boolean(command.filter) === filters)
+                        .map(([name, command]) =>
+                            `  <span class="cmd-highlight">${name}</span>${' '.repeat(width - name.length)}- ${escapeHtml(command.description)}`
+                        )
+                        .join('\n');
+                    return `
+<span class="output-title">Available Commands:</span>
+
+${rows(false)}
+
+<span class="output-title">Filters</span> <span class="output-muted">(read the output of the command before a |)</span>
+
+${rows(true)}
+
+Chain commands with <span class="cmd-highlight">|</span>, <span class="cmd-highlight">&amp;&amp;</span> and <span class="cmd-highlight">;</span> - e.g. <span class="cmd-highlight">experience | grep Lambda</span>
+Type <span class="cmd-highlight">help &lt;command&gt;</span> for its options.
+`;
+                }
+            },
+
+            // ================================
+            // Filters - run on piped input lines ({ html, text })
+            // ================================
+            grep: {
+                description: 'Lines matching a pattern',
+                filter: true,
+                args: [{ name: 'pattern', description: 'Regular expression, e.g. Lambda or "^Go"' }],
+                options: {
+                    'ignore-case': { short: 'i', description: 'Ignore upper/lower case' },
+                    'invert-match': { short: 'v', description: 'Lines that do not match' },
+                    count: { short: 'c', description: 'Print the number of matching lines' }
+                },
+                run: ({ args, options, input }) => {
+                    let pattern;
+                    try {
+                        pattern = new RegExp(args.pattern, options['ignore-case'] ? 'i' : '');
+                    } catch (e) {
+                        throw new Error(`invalid pattern '${args.pattern}'`);
+                    }
+
+                    const lines = input.filter(outputLine => pattern.test(outputLine.text) !== options['invert-match']);
+                    return options.count ? [textLine(String(lines.length))] : lines;
+                }
+            },
+            head: {
+                description: 'First lines',
+                filter: true,
+                options: { lines: { short: 'n', value: 'count', default: '10', numeric: true, description: 'How many lines (default: 10)' } },
+                run: ({ options, input }) => input.slice(0, parseCount(options.lines))
+            },
+            tail: {
+                description: 'Last lines',
+                filter: true,
+                options: { lines: { short: 'n', value: 'count', default: '10', numeric: true, description: 'How many lines (default: 10)' } },
+                run: ({ options, input }) => {
+                    const count = parseCount(options.lines);
+                    return count === 0 ? [] : input.slice(-count);
+                }
+            },
+            sort: {
+                description: 'Lines in alphabetical order',
+                filter: true,
+                options: { reverse: { short: 'r', description: 'Reverse the order' } },
+                run: ({ options, input }) => {
+                    const sorted = [...input].sort((a, b) => a.text.localeCompare(b.text));
+                    return options.reverse ? sorted.reverse() : sorted;
+                }
+            },
+            uniq: {
+                description: 'Drop repeated adjacent lines',
+                filter: true,
+                options: { count: { short: 'c', description: 'Prefix lines with how often they repeat' } },
+                run: ({ options, input }) => {
+                    const groups = [];
+                    input.forEach(outputLine => {
+                        const last = groups[groups.length - 1];
+                        if (last && last.line.text === outputLine.text) {
+                            last.count++;
+                        } else {
+                            groups.push({ line: outputLine, count: 1 });
+                        }
+                    });
+
+                    if (!options.count) return groups.map(group => group.line);
+                    return groups.map(({ line, count }) => ({
+                        html: `${String(count).padStart(7)} ${line.html}`,
+                        text: `${String(count).padStart(7)} ${line.text}`
+                    }));
+                }
+            },
+            wc: {
+                description: 'Count lines, words and characters',
+                filter: true,
+                options: {
+                    lines: { short: 'l', description: 'Lines only' },
+                    words: { short: 'w', description: 'Words only' },
+                    chars: { short: 'c', description: 'Characters only' }
+                },
+                run: ({ options, input }) => {
+                    const counts = {
+                        lines: input.length,
+                        words: input.reduce((sum, outputLine) => sum + outputLine.text.split(/\s+/).filter(Boolean).length, 0),
+                        chars: input.reduce((sum, outputLine) => sum + outputLine.text.length + 1, 0)
+                    };
+
+                    // No flag = all three, like wc
+                    const picked = Object.keys(counts).filter(name => options[name]);
+                    const shown = picked.length > 0 ? picked : Object.keys(counts);
+                    return [textLine(shown.map(name => String(counts[name]).padStart(7)).join(' '))];
+                }
+            }
+        };
+
+        return commands;
+    }
+
+    // ================================
+    // Dock App
+    // ================================
+    AppRegistry.register({
+        id: APP_ID,
+        label: 'Terminal',
+        // Option-click in the dock always opens another window
+        open: ({ newWindow } = {}) => (newWindow ? newTerminal() : openTerminal()),
+        close: () => getTerminals().forEach(closeTerminal),
+        menuItems: [
+            { label: 'New Window', action: newTerminal }
+        ]
+    });
+
+    // ================================
+    // Export API
+    // ================================
+    window.TerminalApp = {
+        open: openTerminal,
+        create: newTerminal,
+        close: closeTerminal,
+        getTerminals
+    };
+})();
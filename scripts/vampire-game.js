@@ -235,6 +235,9 @@
             this.lastTimestamp = 0;
             this.animationId = null;
 
+            // Called when a run ends (set by the window integration)
+            this.onGameOver = null;
+
             // Bind methods
             this.gameLoop = this.gameLoop.bind(this);
             this.handleKeyDown = this.handleKeyDown.bind(this);
@@ -353,6 +356,8 @@
 
             // Show game over screen
             this.showGameOver();
+
+            if (this.onGameOver) this.onGameOver();
         }
 
         reset() {
@@ -684,15 +689,17 @@
             if (e.code === 'KeyR' && this.state === 'gameover') {
                 this.reset();
             }
+        }
 
-            // ESC to toggle pause menu
-            if (e.code === 'Escape' && (this.state === 'playing' || this.state === 'paused')) {
-                e.preventDefault();
-                if (this.state === 'playing') {
-                    this.showPauseMenu();
-                } else if (this.state === 'paused') {
-                    this.hidePauseMenu();
-                }
+        // ESC toggles the pause menu (bound via ShortcutManager, 'vampire' scope)
+        // Returns false outside a run so the key passes on
+        togglePauseMenu() {
+            if (this.state === 'playing') {
+                this.showPauseMenu();
+            } else if (this.state === 'paused') {
+                this.hidePauseMenu();
+            } else {
+                return false;
             }
         }
 
@@ -728,44 +735,61 @@
             element: vampireWindow,
             titlebar: titlebar,
             windowId: 'vampire',
+            // The game gets a Space of its own
+            space: 1,
+            persist: true,
+            appName: 'Vampire Survivors',
+            titleElement: vampireWindow.querySelector('.vampire-title'),
+            activeClass: 'active',
+            minWidth: 480,
+            minHeight: 360,
             preventDragOn: ['.traffic-lights', '.game-canvas'],
             trafficLights: {
                 close: lights[0],
                 minimize: lights[1],
                 maximize: lights[2]
-            },
-            onClose: () => {
-                vampireWindow.classList.remove('active');
-                // Destroy game completely and reset to initial state
-                if (game) {
-                    game.destroy();
-                    game.init();
-                    // Show start overlay again
-                    if (startOverlay) {
-                        startOverlay.classList.remove('hidden');
-                    }
-                }
-                // Update menubar
-                if (typeof MenubarManager !== 'undefined') {
-                    const profileWindow = document.querySelector('.iterm-window');
-                    const profileVisible = profileWindow &&
-                        !profileWindow.classList.contains('minimized') &&
-                        profileWindow.classList.contains('visible');
-                    MenubarManager.setActiveApp(profileVisible ? 'Profile' : 'Pablo Lagger');
-                }
-            },
-            onMinimize: () => {
-                if (game && game.state === 'playing') {
-                    game.pause();
-                }
-            },
-            onRestore: () => {
-                if (game && game.state === 'paused') {
-                    game.resume();
-                }
             }
         });
 
+        // Closing mid-run throws the run away - ask first
+        vampireWindowManager.on('beforeclose', (e) => {
+            if (!confirmQuitRun()) {
+                e.preventDefault();
+            }
+        });
+
+        vampireWindowManager.on('close', () => {
+            // Destroy game completely and reset to initial state
+            game.destroy();
+            game.init();
+            // Show start overlay again
+            if (startOverlay) {
+                startOverlay.classList.remove('hidden');
+            }
+        });
+
+        vampireWindowManager.on('minimize', () => {
+            if (game.state === 'playing') {
+                game.pause();
+            }
+        });
+
+        vampireWindowManager.on('restore', () => {
+            if (game.state === 'paused') {
+                game.resume();
+            }
+        });
+
+        ShortcutManager.register('Escape', () => game.togglePauseMenu(), { scope: 'vampire' });
+
+        // A run that ended out of sight (minimized, another Space) bounces the dock icon
+        game.onGameOver = () => {
+            const visible = vampireWindowManager.isOpen() && vampireWindowManager.isOnCurrentSpace();
+            if (!visible && typeof Dock !== 'undefined') {
+                Dock.requestAttention('vampire');
+            }
+        };
+
         // Start button handler
         if (startButton) {
             startButton.addEventListener('click', () => {
@@ -801,24 +825,52 @@
     // Public API
     // ================================
 
+    /**
+     * Ask before throwing away a run in progress
+     * @returns {boolean} true if there is no run or the user agreed
+     */
+    function confirmQuitRun() {
+        if (!game || (game.state !== 'playing' && game.state !== 'paused')) return true;
+        return window.confirm('Quit the current run? Your progress will be lost.');
+    }
+
+    /**
+     * @returns {boolean} false if the window could not be shown (or opening was cancelled)
+     */
     function openVampireGame() {
         const vampireWindow = document.getElementById('vampire-window');
-        if (!vampireWindow) return;
-
-        if (vampireWindowManager && vampireWindowManager.isMinimized()) {
-            vampireWindowManager.restore();
-        } else {
-            document.dispatchEvent(new CustomEvent('window:restore', {
-                detail: { windowId: 'vampire' }
-            }));
-        }
+        if (!vampireWindow) return false;
 
-        vampireWindow.classList.add('active');
+        // open() shows a closed game and restores a minimized one
+        if (!vampireWindowManager || !vampireWindowManager.open()) return false;
 
         // Focus the game
         if (game && game.state === 'paused') {
             game.resume();
         }
+        return true;
+    }
+
+    /**
+     * Open the game and start a fresh run right away
+     */
+    function newVampireGame() {
+        // Keeping the current run just brings it forward
+        if (!confirmQuitRun()) {
+            openVampireGame();
+            return;
+        }
+        if (!openVampireGame() || !game) return;
+
+        const vampireWindow = document.getElementById('vampire-window');
+        const startOverlay = vampireWindow.querySelector('.game-start-overlay');
+        const pauseOverlay = document.getElementById('game-pause-overlay');
+        if (startOverlay) startOverlay.classList.add('hidden');
+        if (pauseOverlay) pauseOverlay.classList.remove('active');
+
+        game.destroy();
+        game.init();
+        game.start();
     }
 
     function closeVampireGame() {
@@ -827,6 +879,17 @@
         }
     }
 
+    AppRegistry.register({
+        id: 'vampire',
+        label: 'Vampire',
+        windowId: 'vampire',
+        open: openVampireGame,
+        close: closeVampireGame,
+        menuItems: [
+            { label: 'New Game', action: newVampireGame }
+        ]
+    });
+
     // Expose to global scope
     window.openVampireGame = openVampireGame;
     window.closeVampireGame = closeVampireGame;
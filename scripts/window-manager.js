@@ -1,11 +1,194 @@
 // ================================
 // WindowManager - Reusable Window Controls
-// Handles drag, minimize, maximize, close for macOS-style windows
+// Handles drag, resize, minimize, maximize, close for macOS-style windows
+// FocusManager keeps z-order and the focused window across all instances
 // ================================
 
 (function() {
     'use strict';
 
+    // Resize handle directions: edges first, then corners
+    const RESIZE_DIRECTIONS = ['n', 'e', 's', 'w', 'ne', 'se', 'sw', 'nw'];
+
+    // z-index of the bottom window; each window above it gets +1
+    const Z_INDEX_BASE = 1000;
+
+    // Snap-to-edge tiling: pointer distance from a side edge that triggers a tile,
+    // and height of the top/bottom zones along that edge that pick a quarter
+    const SNAP_EDGE_THRESHOLD = 8;
+    const SNAP_CORNER_SIZE = 80;
+
+    // Minimize/restore animation toward the dock item
+    const DOCK_ANIMATION_DURATION = 400;
+    const DOCK_ANIMATION_EASING = 'cubic-bezier(0.4, 0, 0.2, 1)';
+
+    // localStorage key prefix for persisted window state (+ windowId)
+    const STORAGE_PREFIX = 'windowState:';
+
+    // Shared translucent preview shown while a drag would tile the window
+    let snapPreview = null;
+
+    function getSnapPreview() {
+        if (!snapPreview) {
+            snapPreview = document.createElement('div');
+            snapPreview.className = 'window-snap-preview';
+            document.body.appendChild(snapPreview);
+        }
+        return snapPreview;
+    }
+
+    // Menubar app name when no window is focused
+    const DEFAULT_APP_NAME = 'Pablo Lagger';
+
+    // Keyboard move/resize mode: pixels per arrow press (Shift for the large step)
+    const KEYBOARD_STEP = 10;
+    const KEYBOARD_STEP_LARGE = 50;
+    const KEYBOARD_SCOPE = 'window-keyboard';
+
+    // Default accessible names for the traffic lights
+    const TRAFFIC_LIGHT_LABELS = {
+        close: 'Close',
+        minimize: 'Minimize',
+        maximize: 'Zoom'
+    };
+
+    // Shared polite live region for screen reader announcements
+    let liveRegion = null;
+
+    function announce(message) {
+        if (!liveRegion) {
+            liveRegion = document.createElement('div');
+            liveRegion.className = 'window-live-region';
+            liveRegion.setAttribute('role', 'status');
+            liveRegion.setAttribute('aria-live', 'polite');
+            document.body.appendChild(liveRegion);
+        }
+        liveRegion.textContent = message;
+    }
+
+    // Window currently in keyboard move/resize mode
+    let keyboardModeWindow = null;
+
+    // ================================
+    // FocusManager - Shared Z-Order Stack
+    // ================================
+
+    const FocusManager = {
+        // Registered windows, bottom → top
+        stack: [],
+        focused: null,
+
+        register(manager) {
+            if (this.stack.includes(manager)) return;
+            this.stack.push(manager);
+            this._applyZIndex();
+        },
+
+        unregister(manager) {
+            this.stack = this.stack.filter(item => item !== manager);
+            if (this.focused === manager) {
+                this.focused = null;
+                this.focusTopmost();
+            }
+            this._applyZIndex();
+        },
+
+        /**
+         * Raise a window to the top and make it the focused window
+         * @param {WindowManager} manager
+         */
+        focus(manager) {
+            if (!this.stack.includes(manager)) return;
+
+            // Move to top of the stack
+            this.stack = this.stack.filter(item => item !== manager);
+            this.stack.push(manager);
+            this._applyZIndex();
+
+            if (this.focused === manager) return;
+
+            const previous = this.focused;
+            this.focused = manager;
+
+            if (previous) {
+                previous._dispatch('window:blur');
+            }
+            manager._dispatch('window:focus');
+            this._updateMenubar();
+        },
+
+        /**
+         * Drop focus from a window (hidden or closed) and hand it to the next open one
+         * @param {WindowManager} manager
+         */
+        blur(manager) {
+            if (this.focused !== manager) return;
+
+            this.focused = null;
+            manager._dispatch('window:blur');
+            this.focusTopmost();
+        },
+
+        /**
+         * Focus the highest open window, or clear focus if none is open
+         */
+        focusTopmost() {
+            const next = this.getOpenWindows().pop();
+            if (next) {
+                this.focus(next);
+            } else {
+                this._updateMenubar();
+            }
+        },
+
+        /**
+         * Move focus through the open windows (Cmd+` style)
+         * @param {number} direction - 1 raises the bottom window, -1 sends the top one back
+         */
+        cycle(direction = 1) {
+            const open = this.getOpenWindows();
+            if (open.length < 2) return;
+
+            if (direction > 0) {
+                this.focus(open[0]);
+                open[0]._focusElement();
+                return;
+            }
+
+            const top = open[open.length - 1];
+            const next = open[open.length - 2];
+            this.stack = this.stack.filter(item => item !== top);
+            this.stack.unshift(top);
+            this.focus(next);
+            next._focusElement();
+        },
+
+        /**
+         * Open (visible, not minimized) windows on the current Space, bottom → top
+         * @returns {WindowManager[]}
+         */
+        getOpenWindows() {
+            return this.stack.filter(item => item.isOpen() && item.isOnCurrentSpace());
+        },
+
+        getFocused() {
+            return this.focused;
+        },
+
+        _applyZIndex() {
+            this.stack.forEach((item, index) => {
+                item.element.style.zIndex = Z_INDEX_BASE + index;
+            });
+        },
+
+        _updateMenubar() {
+            if (typeof MenubarManager !== 'undefined') {
+                const appName = this.focused && this.focused.appName;
+                MenubarManager.setActiveApp(appName || DEFAULT_APP_NAME);
+            }
+        }
+    };
+
     class WindowManager {
         /**
          * @param {Object} options
@@ -17,11 +200,24 @@
          * @param {string} options.draggingClass - Class for dragging state
          * @param {string} options.minimizedClass - Class for minimized state
          * @param {string} options.maximizedClass - Class for maximized state
-         * @param {Function} options.onClose - Callback when closed
-         * @param {Function} options.onMinimize - Callback when minimized
-         * @param {Function} options.onMaximize - Callback when maximized
-         * @param {Function} options.onRestore - Callback when restored
+         * @param {string} options.resizingClass - Class while a resize is in progress
+         * @param {string} options.resizedClass - Class once the window has an explicit size
+         * @param {boolean} options.resizable - Add edge/corner resize handles (default: true)
+         * @param {number} options.minWidth - Minimum width when resizing (default: 300)
+         * @param {number} options.minHeight - Minimum height when resizing (default: 200)
+         * @param {number} options.maxWidth - Maximum width when resizing (default: none - the viewport still bounds it)
+         * @param {number} options.maxHeight - Maximum height when resizing (default: none - the viewport still bounds it)
+         * @param {boolean} options.snap - Tile to halves/quarters when dragged to a side edge (default: true)
+         * @param {boolean} options.persist - Save geometry and state to localStorage by windowId (default: false)
+         * @param {HTMLElement|string} options.dockItem - Dock item (or selector) minimize animates into
+         *        (default: '#dock-' + appId; the window's dock thumbnail takes over once it exists)
          * @param {string} options.windowId - Identifier for window events
+         * @param {string} options.appId - App the window belongs to, for apps with several
+         *        windows (default: windowId)
+         * @param {string} options.appName - Name shown in the menubar while focused
+         * @param {HTMLElement} options.titleElement - Element that labels the window (aria-labelledby)
+         * @param {string} options.activeClass - Class that marks the window as shown (omit if always shown)
+         * @param {number} options.space - Space (virtual desktop) the window lives on (default: current Space)
          */
         constructor(options) {
             if (!options.element) {
@@ -34,34 +230,73 @@
             this.minVisible = options.minVisible ?? 50;
             this.preventDragOn = options.preventDragOn || ['.traffic-lights'];
             this.windowId = options.windowId || null;
+            this.appId = options.appId || this.windowId;
+            this.appName = options.appName || null;
+            this.activeClass = options.activeClass || null;
+            this.titleElement = options.titleElement || null;
+            this.resizable = options.resizable ?? true;
+            this.snap = options.snap ?? true;
+            this.persist = Boolean(options.persist && options.windowId);
+            this.dockItem = options.dockItem || (this.appId ? `#dock-${this.appId}` : null);
+            this.space = options.space ?? (typeof SpacesManager !== 'undefined' ? SpacesManager.getCurrent() : 0);
+
+            // Size limits (viewport still wins when smaller)
+            this.sizeLimits = {
+                minWidth: options.minWidth ?? 300,
+                minHeight: options.minHeight ?? 200,
+                maxWidth: options.maxWidth ?? Infinity,
+                maxHeight: options.maxHeight ?? Infinity
+            };
+
+            // Running minimize/restore animation: { animation, onDone }
+            this._dockAnimation = null;
 
             // CSS classes
             this.classes = {
                 dragging: options.draggingClass || 'dragging',
                 minimized: options.minimizedClass || 'minimized',
-                maximized: options.maximizedClass || 'maximized'
+                maximized: options.maximizedClass || 'maximized',
+                resizing: options.resizingClass || 'resizing',
+                resized: options.resizedClass || 'resized',
+                animating: 'window-animating',
+                otherSpace: 'space-hidden'
             };
 
-            // Callbacks
-            this.onClose = options.onClose || null;
-            this.onMinimize = options.onMinimize || null;
-            this.onMaximize = options.onMaximize || null;
-            this.onRestore = options.onRestore || null;
+            // Unsubscribe functions for listeners added with on()
+            this._subscriptions = [];
+
+            // Keyboard move/resize mode: { mode, start, unbind }
+            this._keyboardMode = null;
 
             // State
             this.state = {
                 isDragging: false,
+                isResizing: false,
                 isMinimized: false,
                 isMaximized: false,
+                isClosed: false,
                 hasDragged: false,
                 savedPosition: null,
-                dragOffset: { x: 0, y: 0 }
+                dragOffset: { x: 0, y: 0 },
+                resizeDirection: null,
+                resizeStart: null,
+                snapZone: null,
+                tiledZone: null,
+                preTileGeometry: null,
+                dragStartGeometry: null,
+                pointerId: null,
+                captureTarget: null
             };
 
+            // Resize handle elements
+            this.resizeHandles = [];
+
             // Bound methods for event listeners
-            this._boundOnMouseMove = this._onMouseMove.bind(this);
-            this._boundOnMouseUp = this._onMouseUp.bind(this);
-            this._boundOnMouseDown = this._onMouseDown.bind(this);
+            this._boundOnPointerMove = this._onPointerMove.bind(this);
+            this._boundOnPointerUp = this._onPointerUp.bind(this);
+            this._boundOnPointerDown = this._onPointerDown.bind(this);
+            this._boundOnResizeStart = this._onResizeStart.bind(this);
+            this._boundOnFocusIn = this._onFocusIn.bind(this);
 
             // Initialize
             this._init();
@@ -70,6 +305,11 @@
             if (options.trafficLights) {
                 this.setTrafficLights(options.trafficLights);
             }
+
+            if (this.persist) {
+                this._restoreState();
+            }
+            this.syncSpace();
         }
 
         // ================================
@@ -78,17 +318,217 @@
 
         _init() {
             if (this.titlebar) {
-                this.titlebar.addEventListener('mousedown', this._boundOnMouseDown);
+                this.titlebar.addEventListener('pointerdown', this._boundOnPointerDown);
+                // Touch on the titlebar drags the window instead of scrolling the page
+                this.titlebar.style.touchAction = 'none';
+            }
+            document.addEventListener('pointermove', this._boundOnPointerMove);
+            document.addEventListener('pointerup', this._boundOnPointerUp);
+            document.addEventListener('pointercancel', this._boundOnPointerUp);
+
+            // Raise on any press inside the window (capture: before content handlers)
+            // or when keyboard focus moves into it
+            this.element.addEventListener('pointerdown', this._boundOnFocusIn, true);
+            this.element.addEventListener('focusin', this._boundOnFocusIn);
+
+            if (this.resizable) {
+                this._createResizeHandles();
             }
-            document.addEventListener('mousemove', this._boundOnMouseMove);
-            document.addEventListener('mouseup', this._boundOnMouseUp);
+
+            this._initAccessibility();
+
+            FocusManager.register(this);
+        }
+
+        /**
+         * Dialog semantics, labelled by the window title
+         */
+        _initAccessibility() {
+            if (!this.element.hasAttribute('role')) {
+                this.element.setAttribute('role', 'dialog');
+            }
+            // Focusable from script (open/restore/cycle) but not a Tab stop
+            if (!this.element.hasAttribute('tabindex')) {
+                this.element.setAttribute('tabindex', '-1');
+            }
+
+            if (this.titleElement) {
+                if (!this.titleElement.id) {
+                    this.titleElement.id = `${this.windowId || 'window'}-title`;
+                }
+                this.element.setAttribute('aria-labelledby', this.titleElement.id);
+            } else if (this.appName) {
+                this.element.setAttribute('aria-label', this.appName);
+            }
+        }
+
+        /**
+         * Move keyboard focus into the window (unless it is already inside)
+         */
+        _focusElement() {
+            if (!this.element.contains(document.activeElement)) {
+                this.element.focus({ preventScroll: true });
+            }
+        }
+
+        /**
+         * Give keyboard focus to the dock item when a window goes away with focus inside.
+         * Call before hiding the window.
+         * @returns {Function} Call after hiding the window
+         */
+        _prepareFocusReturn() {
+            if (!this.element.contains(document.activeElement)) return () => {};
+
+            return () => {
+                const dockItem = this._getDockItem();
+                if (dockItem && dockItem.tabIndex >= 0) {
+                    dockItem.focus();
+                } else {
+                    document.activeElement.blur();
+                }
+            };
+        }
+
+        _onFocusIn() {
+            this.focus();
+        }
+
+        /**
+         * Dispatch a window:* event on document (only for windows with an id).
+         *
+         * Lifecycle: beforeopen/open, beforeminimize/minimize, beforemaximize/maximize,
+         * beforerestore/restore, beforeclose/close. The before* events are cancelable
+         * and fire before anything changes. Also: focus, blur, dragstart, dragend,
+         * resize, tile and space.
+         *
+         * @param {string} type - Event name, e.g. 'window:focus'
+         * @param {Object} detail - Extra detail merged with { windowId, appId }
+         * @returns {boolean} false if a listener called preventDefault()
+         */
+        _dispatch(type, detail = {}) {
+            if (!this.windowId) return true;
+            return document.dispatchEvent(new CustomEvent(type, {
+                cancelable: type.startsWith('window:before'),
+                detail: { windowId: this.windowId, appId: this.appId, ...detail }
+            }));
+        }
+
+        /**
+         * Listen to this window's events
+         * @param {string} type - Event name without prefix, e.g. 'close' or 'beforeclose'
+         * @param {Function} handler - Receives the CustomEvent
+         * @returns {Function} Unsubscribe function
+         */
+        on(type, handler) {
+            const eventName = `window:${type}`;
+            const listener = (e) => {
+                if (e.detail.windowId === this.windowId) handler(e);
+            };
+            document.addEventListener(eventName, listener);
+
+            const unsubscribe = () => {
+                document.removeEventListener(eventName, listener);
+                this._subscriptions = this._subscriptions.filter(item => item !== unsubscribe);
+            };
+            this._subscriptions.push(unsubscribe);
+            return unsubscribe;
+        }
+
+        _createResizeHandles() {
+            RESIZE_DIRECTIONS.forEach(direction => {
+                const handle = document.createElement('div');
+                handle.className = `window-resize-handle window-resize-${direction}`;
+                handle.dataset.direction = direction;
+                handle.addEventListener('pointerdown', this._boundOnResizeStart);
+                this.element.appendChild(handle);
+                this.resizeHandles.push(handle);
+            });
+        }
+
+        // ================================
+        // Viewport Bounds
+        // ================================
+
+        /**
+         * Area a window may occupy: full viewport minus the menubar
+         * @returns {{ left: number, top: number, right: number, bottom: number }}
+         */
+        _getViewportBounds() {
+            const menubar = document.querySelector('.menubar');
+            const menubarHeight = menubar ? menubar.offsetHeight : 0;
+            return {
+                left: 0,
+                top: menubarHeight,
+                right: window.innerWidth,
+                bottom: window.innerHeight
+            };
+        }
+
+        // ================================
+        // Pointer Capture
+        // ================================
+
+        /**
+         * Claim a pointer for a drag or resize. Only one pointer can drive
+         * a window at a time - a second finger is ignored until the first lifts.
+         * @param {PointerEvent} e
+         * @returns {boolean} true if the pointer was claimed
+         */
+        _capturePointer(e) {
+            if (this.state.pointerId !== null) return false;
+            if (!e.isPrimary) return false;
+            // Left button only for mouse; touch and pen report button 0 too
+            if (e.button !== 0) return false;
+
+            this.state.pointerId = e.pointerId;
+            this.state.captureTarget = e.currentTarget;
+            // Keep receiving moves even when the pointer leaves the titlebar/handle
+            e.currentTarget.setPointerCapture(e.pointerId);
+            return true;
+        }
+
+        _releasePointer() {
+            const target = this.state.captureTarget;
+            if (target && target.hasPointerCapture(this.state.pointerId)) {
+                target.releasePointerCapture(this.state.pointerId);
+            }
+            this.state.pointerId = null;
+            this.state.captureTarget = null;
+        }
+
+        /**
+         * Keep a window of the given size fully inside the viewport bounds
+         * @returns {{ x: number, y: number }}
+         */
+        _clampPosition(x, y, width, height) {
+            const bounds = this._getViewportBounds();
+            const maxX = bounds.right - width;
+            const maxY = bounds.bottom - height;
+            return {
+                x: Math.max(bounds.left, Math.min(x, maxX)),
+                y: Math.max(bounds.top, Math.min(y, maxY))
+            };
+        }
+
+        /**
+         * Switch from CSS centering (translate -50%) to explicit left/top,
+         * so the window can be moved or resized from its current spot
+         */
+        _detachFromCenter() {
+            if (this.state.hasDragged) return;
+
+            const rect = this.element.getBoundingClientRect();
+            this.state.hasDragged = true;
+            this.element.style.transform = 'none';
+            this.element.style.left = rect.left + 'px';
+            this.element.style.top = rect.top + 'px';
         }
 
         // ================================
         // Drag Handling
         // ================================
 
-        _onMouseDown(e) {
+        _onPointerDown(e) {
             // Check if click is on a prevent-drag element
             for (const selector of this.preventDragOn) {
                 if (e.target.closest(selector)) return;
@@ -97,16 +537,32 @@
             // Don't drag if maximized
             if (this.state.isMaximized) return;
 
+            if (!this._capturePointer(e)) return;
+
+            // Avoid text selection while dragging
+            e.preventDefault();
+
             this.state.isDragging = true;
             const rect = this.element.getBoundingClientRect();
             this.state.dragOffset = {
                 x: e.clientX - rect.left,
                 y: e.clientY - rect.top
             };
+            // A tiled window keeps the geometry it had before its first tile
+            this.state.dragStartGeometry = this.state.preTileGeometry || this._getGeometry();
             this.element.classList.add(this.classes.dragging);
+
+            this._dispatch('window:dragstart');
         }
 
-        _onMouseMove(e) {
+        _onPointerMove(e) {
+            if (e.pointerId !== this.state.pointerId) return;
+
+            if (this.state.isResizing) {
+                this._onResizeMove(e);
+                return;
+            }
+
             if (!this.state.isDragging) return;
 
             // Reset transform on first drag if centered
@@ -115,28 +571,705 @@
                 this.element.style.transform = 'none';
             }
 
-            let newX = e.clientX - this.state.dragOffset.x;
-            let newY = e.clientY - this.state.dragOffset.y;
+            // Dragging a tiled window off its tile brings back the earlier size,
+            // keeping the grab point at the same relative spot of the titlebar
+            if (this.state.tiledZone) {
+                const ratio = this.state.dragOffset.x / this.element.offsetWidth;
+                this.untile({ keepPosition: true });
+                this.state.dragOffset.x = ratio * this.element.offsetWidth;
+            }
 
             // Viewport boundary constraints - keep window fully inside viewport
             const rect = this.element.getBoundingClientRect();
-            const menubar = document.querySelector('.menubar');
-            const menubarHeight = menubar ? menubar.offsetHeight : 0;
-            const maxX = window.innerWidth - rect.width;
-            const maxY = window.innerHeight - rect.height;
+            const position = this._clampPosition(
+                e.clientX - this.state.dragOffset.x,
+                e.clientY - this.state.dragOffset.y,
+                rect.width,
+                rect.height
+            );
 
-            newX = Math.max(0, Math.min(newX, maxX));
-            newY = Math.max(menubarHeight, Math.min(newY, maxY));
+            this.element.style.left = position.x + 'px';
+            this.element.style.top = position.y + 'px';
 
-            this.element.style.left = newX + 'px';
-            this.element.style.top = newY + 'px';
+            if (this.snap) {
+                this._updateSnapPreview(this._getSnapZone(e.clientX, e.clientY));
+            }
         }
 
-        _onMouseUp() {
+        _onPointerUp(e) {
+            if (e.pointerId !== this.state.pointerId) return;
+
+            this._releasePointer();
+
             if (this.state.isDragging) {
                 this.state.isDragging = false;
                 this.element.classList.remove(this.classes.dragging);
+
+                const zone = this.state.snapZone;
+                this._updateSnapPreview(null);
+                if (zone) {
+                    this.tile(zone);
+                }
+                this.state.dragStartGeometry = null;
+
+                this._dispatch('window:dragend');
             }
+
+            if (this.state.isResizing) {
+                this.state.isResizing = false;
+                this.state.resizeDirection = null;
+                this.state.resizeStart = null;
+                this.element.classList.remove(this.classes.resizing);
+            }
+
+            this._saveState();
+        }
+
+        // ================================
+        // Resize Handling
+        // ================================
+
+        _onResizeStart(e) {
+            if (this.state.isMaximized || this.state.isMinimized) return;
+            if (!this._capturePointer(e)) return;
+
+            // Keep the titlebar from starting a drag and avoid text selection
+            e.preventDefault();
+            e.stopPropagation();
+
+            this._detachFromCenter();
+
+            // A manual resize turns a tile into a regular window
+            this.state.tiledZone = null;
+            this.state.preTileGeometry = null;
+
+            const rect = this.element.getBoundingClientRect();
+            this.state.isResizing = true;
+            this.state.resizeDirection = e.currentTarget.dataset.direction;
+            this.state.resizeStart = {
+                pointerX: e.clientX,
+                pointerY: e.clientY,
+                left: rect.left,
+                top: rect.top,
+                width: rect.width,
+                height: rect.height
+            };
+            this.element.classList.add(this.classes.resizing);
+        }
+
+        _onResizeMove(e) {
+            const start = this.state.resizeStart;
+            const direction = this.state.resizeDirection;
+            const bounds = this._getViewportBounds();
+            const { minWidth, minHeight, maxWidth, maxHeight } = this.sizeLimits;
+
+            const dx = e.clientX - start.pointerX;
+            const dy = e.clientY - start.pointerY;
+
+            let left = start.left;
+            let top = start.top;
+            let width = start.width;
+            let height = start.height;
+
+            // Horizontal edge - clamp size first, then keep the edge inside the viewport
+            if (direction.includes('e')) {
+                width = Math.max(minWidth, Math.min(start.width + dx, maxWidth));
+                width = Math.min(width, bounds.right - start.left);
+            } else if (direction.includes('w')) {
+                const right = start.left + start.width;
+                width = Math.max(minWidth, Math.min(start.width - dx, maxWidth));
+                width = Math.min(width, right - bounds.left);
+                left = right - width;
+            }
+
+            // Vertical edge - the menubar is the top boundary, like dragging
+            if (direction.includes('s')) {
+                height = Math.max(minHeight, Math.min(start.height + dy, maxHeight));
+                height = Math.min(height, bounds.bottom - start.top);
+            } else if (direction.includes('n')) {
+                const bottom = start.top + start.height;
+                height = Math.max(minHeight, Math.min(start.height - dy, maxHeight));
+                height = Math.min(height, bottom - bounds.top);
+                top = bottom - height;
+            }
+
+            this.setSize(width, height);
+            this.element.style.left = left + 'px';
+            this.element.style.top = top + 'px';
+        }
+
+        // ================================
+        // Snap-to-Edge Tiling
+        // ================================
+
+        /**
+         * Tile zone under the pointer, or null if not at a side edge
+         * @returns {string|null} 'left' | 'right' | 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right'
+         */
+        _getSnapZone(x, y) {
+            const bounds = this._getViewportBounds();
+
+            let side = null;
+            if (x <= bounds.left + SNAP_EDGE_THRESHOLD) side = 'left';
+            else if (x >= bounds.right - SNAP_EDGE_THRESHOLD) side = 'right';
+            if (!side) return null;
+
+            if (y <= bounds.top + SNAP_CORNER_SIZE) return `top-${side}`;
+            if (y >= bounds.bottom - SNAP_CORNER_SIZE) return `bottom-${side}`;
+            return side;
+        }
+
+        /**
+         * Rect a tile zone covers inside the viewport bounds
+         * @param {string} zone
+         * @returns {{ left: number, top: number, width: number, height: number }}
+         */
+        _getTileRect(zone) {
+            const bounds = this._getViewportBounds();
+            const halfWidth = (bounds.right - bounds.left) / 2;
+            const fullHeight = bounds.bottom - bounds.top;
+            const isQuarter = zone.includes('-');
+            const height = isQuarter ? fullHeight / 2 : fullHeight;
+
+            return {
+                left: zone.endsWith('right') ? bounds.left + halfWidth : bounds.left,
+                top: zone.startsWith('bottom') ? bounds.top + height : bounds.top,
+                width: halfWidth,
+                height
+            };
+        }
+
+        _updateSnapPreview(zone) {
+            if (zone === this.state.snapZone) return;
+            this.state.snapZone = zone;
+
+            const preview = getSnapPreview();
+            if (!zone) {
+                preview.classList.remove('visible');
+                return;
+            }
+
+            const rect = this._getTileRect(zone);
+            preview.style.left = rect.left + 'px';
+            preview.style.top = rect.top + 'px';
+            preview.style.width = rect.width + 'px';
+            preview.style.height = rect.height + 'px';
+
+            // Sit right below the dragged window
+            preview.style.zIndex = this.element.style.zIndex;
+            this.element.parentNode.insertBefore(preview, this.element);
+            preview.classList.add('visible');
+        }
+
+        /**
+         * Current on-screen geometry plus whether the size was set explicitly
+         */
+        _getGeometry() {
+            const rect = this.element.getBoundingClientRect();
+            return {
+                x: rect.left,
+                y: rect.top,
+                width: rect.width,
+                height: rect.height,
+                sized: this.element.classList.contains(this.classes.resized)
+            };
+        }
+
+        /**
+         * Tile the window to half or a quarter of the viewport
+         * @param {string} zone - 'left' | 'right' | 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right'
+         */
+        tile(zone) {
+            if (this.state.isMaximized || this.state.isMinimized) return;
+
+            // Remember the geometry from before the first tile (re-tiling keeps it)
+            if (!this.state.tiledZone) {
+                this.state.preTileGeometry = this.state.dragStartGeometry || this._getGeometry();
+            }
+
+            this.state.tiledZone = zone;
+            this._applyTile(zone);
+            this._saveState();
+
+            this._dispatch('window:tile', { zone });
+        }
+
+        /**
+         * Move and size the window to a tile zone (no state bookkeeping)
+         */
+        _applyTile(zone) {
+            const rect = this._getTileRect(zone);
+            const { minWidth, minHeight } = this.sizeLimits;
+            const width = Math.max(rect.width, minWidth);
+            const height = Math.max(rect.height, minHeight);
+            const bounds = this._getViewportBounds();
+
+            this._detachFromCenter();
+            this.element.style.left = Math.min(rect.left, bounds.right - width) + 'px';
+            this.element.style.top = Math.min(rect.top, bounds.bottom - height) + 'px';
+            this.setSize(width, height);
+        }
+
+        /**
+         * Leave the tile and bring back the geometry from before tiling
+         * @param {Object} options
+         * @param {boolean} options.keepPosition - Only restore the size (used while dragging)
+         */
+        untile({ keepPosition = false } = {}) {
+            const geometry = this.state.preTileGeometry;
+            if (!this.state.tiledZone) return;
+
+            this.state.tiledZone = null;
+            this.state.preTileGeometry = null;
+
+            if (geometry && geometry.sized) {
+                this.setSize(geometry.width, geometry.height);
+            } else {
+                this.resetSize();
+            }
+
+            if (geometry && !keepPosition) {
+                this.element.style.left = geometry.x + 'px';
+                this.element.style.top = geometry.y + 'px';
+                this.element.style.transform = 'none';
+            }
+            this._saveState();
+
+            this._dispatch('window:tile', { zone: null });
+        }
+
+        // ================================
+        // Viewport Changes
+        // ================================
+
+        /**
+         * Re-fit the window after the browser viewport changed size
+         * @param {{ width: number, height: number }} previous - Viewport size before the change
+         */
+        fitToViewport(previous) {
+            const bounds = this._getViewportBounds();
+            const scaleX = window.innerWidth / previous.width;
+            const scaleY = window.innerHeight / previous.height;
+
+            // Restore targets scale with the viewport, then get clamped like a drag
+            if (this.state.savedPosition) {
+                const rect = this.element.getBoundingClientRect();
+                const saved = this._clampPosition(
+                    this.state.savedPosition.x * scaleX,
+                    this.state.savedPosition.y * scaleY,
+                    Math.min(rect.width, bounds.right - bounds.left),
+                    Math.min(rect.height, bounds.bottom - bounds.top)
+                );
+                this.state.savedPosition = saved;
+            }
+
+            const preTile = this.state.preTileGeometry;
+            if (preTile) {
+                const width = Math.min(preTile.width, bounds.right - bounds.left);
+                const height = Math.min(preTile.height, bounds.bottom - bounds.top);
+                const position = this._clampPosition(preTile.x * scaleX, preTile.y * scaleY, width, height);
+                this.state.preTileGeometry = { ...preTile, ...position, width, height };
+            }
+
+            // Maximized windows follow the viewport through CSS
+            if (this.state.isMaximized) {
+                this._saveState();
+                return;
+            }
+
+            if (this.state.tiledZone) {
+                this._applyTile(this.state.tiledZone);
+            } else if (this.state.hasDragged) {
+                // Shrink an explicit size that no longer fits, then pull the window back inside
+                let width = this.element.offsetWidth;
+                let height = this.element.offsetHeight;
+                if (this.element.classList.contains(this.classes.resized)) {
+                    const { minWidth, minHeight } = this.sizeLimits;
+                    const fitWidth = Math.max(Math.min(width, bounds.right - bounds.left), minWidth);
+                    const fitHeight = Math.max(Math.min(height, bounds.bottom - bounds.top), minHeight);
+                    if (fitWidth !== width || fitHeight !== height) {
+                        width = fitWidth;
+                        height = fitHeight;
+                        this.setSize(width, height);
+                    }
+                }
+
+                const position = this._clampPosition(
+                    parseFloat(this.element.style.left) || 0,
+                    parseFloat(this.element.style.top) || 0,
+                    width,
+                    height
+                );
+                this.element.style.left = position.x + 'px';
+                this.element.style.top = position.y + 'px';
+            }
+            // Centered windows (never dragged) are kept in place by CSS
+
+            this._saveState();
+        }
+
+        // ================================
+        // Dock Animation
+        // ================================
+
+        _getDockItem() {
+            // While minimized, the window's own dock thumbnail beats the app icon
+            const thumbnail = this.windowId &&
+                document.querySelector(`.dock-thumbnail[data-window="${this.windowId}"]`);
+            if (thumbnail) return thumbnail;
+
+            if (typeof this.dockItem === 'string') {
+                return document.querySelector(this.dockItem);
+            }
+            return this.dockItem;
+        }
+
+        /**
+         * Scale the window into its dock item (minimize) or back out of it (restore).
+         * Runs onDone right away when there is nothing to animate toward or the
+         * user prefers reduced motion.
+         * @param {string} direction - 'minimize' | 'restore'
+         * @param {Function} onDone - Applies the final state classes
+         */
+        _animateDock(direction, onDone = null) {
+            const finish = () => {
+                if (onDone) onDone();
+            };
+
+            this._finishDockAnimation();
+
+            const dockItem = this._getDockItem();
+            const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+            if (!dockItem || reduceMotion || typeof this.element.animate !== 'function') {
+                finish();
+                return;
+            }
+
+            const windowRect = this.element.getBoundingClientRect();
+            const dockRect = dockItem.getBoundingClientRect();
+            if (!windowRect.width || !dockRect.width) {
+                finish();
+                return;
+            }
+
+            // Move the window's center onto the dock item's center and shrink to its width.
+            // The current transform (e.g. translate(-50%, -50%)) stays in the middle of the
+            // chain, so the scale happens around the window's own center.
+            const dx = (dockRect.left + dockRect.width / 2) - (windowRect.left + windowRect.width / 2);
+            const dy = (dockRect.top + dockRect.height / 2) - (windowRect.top + windowRect.height / 2);
+            const scale = dockRect.width / windowRect.width;
+            const current = getComputedStyle(this.element).transform;
+            const base = current === 'none' ? '' : current;
+
+            const shown = { transform: `translate(0px, 0px) ${base} scale(1)`, opacity: 1 };
+            const docked = { transform: `translate(${dx}px, ${dy}px) ${base} scale(${scale})`, opacity: 0 };
+            const keyframes = direction === 'minimize' ? [shown, docked] : [docked, shown];
+
+            // CSS transitions on the state classes would fight the animation
+            this.element.classList.add(this.classes.animating);
+
+            const animation = this.element.animate(keyframes, {
+                duration: DOCK_ANIMATION_DURATION,
+                easing: DOCK_ANIMATION_EASING,
+                fill: 'forwards'
+            });
+            this._dockAnimation = { animation, onDone };
+            animation.onfinish = () => this._finishDockAnimation();
+        }
+
+        /**
+         * Jump a running dock animation to its end state (synchronously,
+         * so a restore right after a minimize never sees a stale class)
+         */
+        _finishDockAnimation() {
+            const running = this._dockAnimation;
+            if (!running) return;
+
+            this._dockAnimation = null;
+            running.animation.onfinish = null;
+            if (running.onDone) running.onDone();
+            running.animation.cancel();
+
+            // Let the final state paint before transitions come back
+            requestAnimationFrame(() => {
+                if (!this._dockAnimation) {
+                    this.element.classList.remove(this.classes.animating);
+                }
+            });
+        }
+
+        // ================================
+        // Persistence
+        // ================================
+
+        _saveState() {
+            if (!this.persist) return;
+
+            const saved = {
+                space: this.space,
+                isMinimized: this.state.isMinimized,
+                isClosed: this.state.isClosed,
+                isMaximized: this.state.isMaximized,
+                savedPosition: this.state.savedPosition,
+                tiledZone: this.state.tiledZone,
+                preTileGeometry: this.state.preTileGeometry,
+                // Centered windows keep no rect, so they stay centered
+                rect: this.state.hasDragged ? {
+                    x: parseFloat(this.element.style.left) || 0,
+                    y: parseFloat(this.element.style.top) || 0,
+                    width: this.element.offsetWidth,
+                    height: this.element.offsetHeight,
+                    sized: this.element.classList.contains(this.classes.resized)
+                } : null
+            };
+
+            try {
+                localStorage.setItem(STORAGE_PREFIX + this.windowId, JSON.stringify(saved));
+            } catch (e) {
+                // Storage full or unavailable - window still works, just not remembered
+            }
+        }
+
+        _restoreState() {
+            let saved = null;
+            try {
+                saved = JSON.parse(localStorage.getItem(STORAGE_PREFIX + this.windowId));
+            } catch (e) {
+                saved = null;
+            }
+            if (!saved) return;
+
+            if (Number.isInteger(saved.space)) {
+                this.space = saved.space;
+            }
+
+            if (saved.tiledZone) {
+                // Re-tile against the current viewport instead of the old rect
+                this.state.preTileGeometry = saved.preTileGeometry;
+                this.state.tiledZone = saved.tiledZone;
+                this._applyTile(saved.tiledZone);
+            } else if (saved.rect && this._fitsViewport(saved.rect)) {
+                this.state.hasDragged = true;
+                this.element.style.transform = 'none';
+                this.element.style.left = saved.rect.x + 'px';
+                this.element.style.top = saved.rect.y + 'px';
+                if (saved.rect.sized) {
+                    this.setSize(saved.rect.width, saved.rect.height);
+                }
+            }
+            // Otherwise keep the centered CSS default
+
+            if (saved.isMaximized) {
+                this.state.isMaximized = true;
+                this.state.savedPosition = saved.savedPosition;
+                this.element.classList.add(this.classes.maximized);
+            }
+
+            if (saved.isMinimized) {
+                this.state.isMinimized = true;
+                this.state.isClosed = Boolean(saved.isClosed);
+                this.element.classList.add(this.classes.minimized);
+                if (this.state.isClosed && this.activeClass) {
+                    this.element.classList.remove(this.activeClass);
+                }
+            }
+        }
+
+        /**
+         * Whether a saved rect is still fully inside the viewport
+         */
+        _fitsViewport(rect) {
+            const bounds = this._getViewportBounds();
+            return rect.x >= bounds.left &&
+                rect.y >= bounds.top &&
+                rect.x + rect.width <= bounds.right &&
+                rect.y + rect.height <= bounds.bottom;
+        }
+
+        /**
+         * Clear the persisted state (next load starts from the CSS default)
+         */
+        clearSavedState() {
+            if (!this.windowId) return;
+            try {
+                localStorage.removeItem(STORAGE_PREFIX + this.windowId);
+            } catch (e) {
+                // Storage unavailable - nothing was saved either
+            }
+        }
+
+        // ================================
+        // Spaces
+        // ================================
+
+        /**
+         * Move the window to another Space (virtual desktop)
+         * @param {number} space - Space index
+         */
+        setSpace(space) {
+            if (space === this.space) return;
+
+            this.space = space;
+            this.syncSpace();
+            // A window that left the current Space can't keep focus
+            if (!this.isOnCurrentSpace()) {
+                FocusManager.blur(this);
+            }
+            this._saveState();
+
+            this._dispatch('window:space', { space });
+        }
+
+        /**
+         * Show or hide the window for the current Space
+         */
+        syncSpace() {
+            this.element.classList.toggle(this.classes.otherSpace, !this.isOnCurrentSpace());
+        }
+
+        isOnCurrentSpace() {
+            return typeof SpacesManager === 'undefined' || this.space === SpacesManager.getCurrent();
+        }
+
+        // ================================
+        // Keyboard Move / Resize
+        // ================================
+
+        /**
+         * Move the window with the arrow keys until Enter (keep) or Escape (cancel)
+         * @returns {boolean} false if the window can't be moved right now
+         */
+        startKeyboardMove() {
+            return this._startKeyboardMode('move');
+        }
+
+        /**
+         * Resize the window with the arrow keys (bottom-right corner) until Enter or Escape
+         * @returns {boolean} false if the window can't be resized right now
+         */
+        startKeyboardResize() {
+            if (!this.resizable) return false;
+            return this._startKeyboardMode('resize');
+        }
+
+        _startKeyboardMode(mode) {
+            if (typeof ShortcutManager === 'undefined') return false;
+            if (this.state.isMaximized || this.state.isMinimized) return false;
+
+            if (keyboardModeWindow) {
+                keyboardModeWindow._endKeyboardMode(true);
+            }
+
+            const start = {
+                geometry: this._getGeometry(),
+                hasDragged: this.state.hasDragged,
+                transform: this.element.style.transform,
+                left: this.element.style.left,
+                top: this.element.style.top,
+                tiledZone: this.state.tiledZone,
+                preTileGeometry: this.state.preTileGeometry
+            };
+
+            if (mode === 'move' && this.state.tiledZone) {
+                this.untile({ keepPosition: true });
+            } else if (mode === 'resize') {
+                // Same as a pointer resize: the tile becomes a regular window
+                this.state.tiledZone = null;
+                this.state.preTileGeometry = null;
+            }
+            this._detachFromCenter();
+
+            const step = (dx, dy) => () => this._keyboardStep(dx, dy);
+            const options = { scope: KEYBOARD_SCOPE, allowInInput: true };
+            const unbind = [
+                ShortcutManager.register('ArrowLeft', step(-KEYBOARD_STEP, 0), options),
+                ShortcutManager.register('ArrowRight', step(KEYBOARD_STEP, 0), options),
+                ShortcutManager.register('ArrowUp', step(0, -KEYBOARD_STEP), options),
+                ShortcutManager.register('ArrowDown', step(0, KEYBOARD_STEP), options),
+                ShortcutManager.register('Shift+ArrowLeft', step(-KEYBOARD_STEP_LARGE, 0), options),
+                ShortcutManager.register('Shift+ArrowRight', step(KEYBOARD_STEP_LARGE, 0), options),
+                ShortcutManager.register('Shift+ArrowUp', step(0, -KEYBOARD_STEP_LARGE), options),
+                ShortcutManager.register('Shift+ArrowDown', step(0, KEYBOARD_STEP_LARGE), options),
+                ShortcutManager.register('Enter', () => this._endKeyboardMode(true), options),
+                ShortcutManager.register('Escape', () => this._endKeyboardMode(false), options)
+            ];
+            ShortcutManager.pushScope(KEYBOARD_SCOPE);
+
+            this._keyboardMode = { mode, start, unbind };
+            keyboardModeWindow = this;
+            this.element.classList.add(mode === 'move' ? this.classes.dragging : this.classes.resizing);
+
+            const name = this.appName || 'Window';
+            const action = mode === 'move' ? 'Moving' : 'Resizing';
+            announce(`${action} ${name}. Arrow keys to ${mode}, Shift for larger steps, Enter to finish, Escape to cancel.`);
+            return true;
+        }
+
+        _keyboardStep(dx, dy) {
+            const rect = this.element.getBoundingClientRect();
+
+            if (this._keyboardMode.mode === 'move') {
+                const position = this._clampPosition(rect.left + dx, rect.top + dy, rect.width, rect.height);
+                this.element.style.left = position.x + 'px';
+                this.element.style.top = position.y + 'px';
+                return;
+            }
+
+            // Resize from the bottom-right corner, same limits as a pointer resize
+            const bounds = this._getViewportBounds();
+            const { minWidth, minHeight, maxWidth, maxHeight } = this.sizeLimits;
+            let width = Math.max(minWidth, Math.min(rect.width + dx, maxWidth));
+            let height = Math.max(minHeight, Math.min(rect.height + dy, maxHeight));
+            width = Math.min(width, bounds.right - rect.left);
+            height = Math.min(height, bounds.bottom - rect.top);
+            this.setSize(width, height);
+        }
+
+        /**
+         * Leave keyboard move/resize mode
+         * @param {boolean} commit - Keep the new geometry (false puts the window back)
+         */
+        _endKeyboardMode(commit) {
+            if (!this._keyboardMode) return;
+
+            const { mode, start, unbind } = this._keyboardMode;
+            this._keyboardMode = null;
+            keyboardModeWindow = null;
+
+            unbind.forEach(unregister => unregister());
+            ShortcutManager.popScope(KEYBOARD_SCOPE);
+            this.element.classList.remove(this.classes.dragging, this.classes.resizing);
+
+            const name = this.appName || 'Window';
+
+            if (!commit) {
+                if (mode === 'resize') {
+                    if (start.geometry.sized) {
+                        this.setSize(start.geometry.width, start.geometry.height);
+                    } else {
+                        this.resetSize();
+                    }
+                }
+                this.state.hasDragged = start.hasDragged;
+                this.element.style.transform = start.transform;
+                this.element.style.left = start.left;
+                this.element.style.top = start.top;
+
+                if (start.tiledZone) {
+                    this.state.preTileGeometry = start.preTileGeometry;
+                    this.state.tiledZone = start.tiledZone;
+                    this._applyTile(start.tiledZone);
+                }
+                announce(`${name} ${mode} cancelled.`);
+            } else if (mode === 'move') {
+                const rect = this.element.getBoundingClientRect();
+                announce(`${name} moved to ${Math.round(rect.left)}, ${Math.round(rect.top)}.`);
+            } else {
+                const rect = this.element.getBoundingClientRect();
+                announce(`${name} resized to ${Math.round(rect.width)} by ${Math.round(rect.height)}.`);
+            }
+
+            this._saveState();
         }
 
         // ================================
@@ -148,6 +1281,26 @@
          * @param {Object} lights - { close, minimize, maximize } elements
          */
         setTrafficLights(lights) {
+            Object.keys(TRAFFIC_LIGHT_LABELS).forEach(action => {
+                const light = lights[action];
+                if (!light) return;
+
+                if (!light.hasAttribute('aria-label')) {
+                    light.setAttribute('aria-label', TRAFFIC_LIGHT_LABELS[action]);
+                }
+                // Non-button markup still has to be reachable and usable from the keyboard
+                if (light.tagName !== 'BUTTON') {
+                    light.setAttribute('role', 'button');
+                    light.setAttribute('tabindex', '0');
+                    light.addEventListener('keydown', (e) => {
+                        if (e.key === 'Enter' || e.key === ' ') {
+                            e.preventDefault();
+                            light.click();
+                        }
+                    });
+                }
+            });
+
             if (lights.close) {
                 lights.close.addEventListener('click', (e) => {
                     e.stopPropagation();
@@ -174,34 +1327,78 @@
         // Window State Methods
         // ================================
 
-        minimize() {
-            // If maximized, restore first
-            if (this.state.isMaximized) {
-                this.element.classList.remove(this.classes.maximized);
-                this.state.isMaximized = false;
+        /**
+         * Show a closed (or never shown) window; a minimized one is restored instead
+         * @returns {boolean} false if cancelled
+         */
+        open() {
+            if (!this.isClosed()) return this.restore();
+            if (!this._dispatch('window:beforeopen')) return false;
+
+            this._finishDockAnimation();
+            this.state.isMinimized = false;
+            this.state.isClosed = false;
+            this.element.classList.remove(this.classes.minimized);
+            if (this.activeClass) {
+                this.element.classList.add(this.activeClass);
             }
 
+            FocusManager.focus(this);
+            this._focusElement();
+            this._saveState();
+
+            this._dispatch('window:open');
+            return true;
+        }
+
+        minimize() {
+            if (this.state.isMinimized) return false;
+            if (!this._dispatch('window:beforeminimize')) return false;
+
+            this._endKeyboardMode(true);
+            const restoreFocus = this._prepareFocusReturn();
+
+            // If maximized, restore first (after the animation, so it leaves from the maximized look)
+            const wasMaximized = this.state.isMaximized;
+            this.state.isMaximized = false;
             this.state.isMinimized = true;
-            this.element.classList.add(this.classes.minimized);
 
-            // Dispatch event
-            if (this.windowId) {
-                document.dispatchEvent(new CustomEvent('window:minimize', {
-                    detail: { windowId: this.windowId }
-                }));
-            }
+            FocusManager.blur(this);
+            restoreFocus();
+            this._saveState();
 
-            if (this.onMinimize) {
-                this.onMinimize();
-            }
+            // Dispatched while the window still shows, so the dock can snapshot it
+            // and the animation can land on that thumbnail
+            this._dispatch('window:minimize');
+
+            this._animateDock('minimize', () => {
+                if (wasMaximized) {
+                    this.element.classList.remove(this.classes.maximized);
+                }
+                this.element.classList.add(this.classes.minimized);
+            });
+            return true;
         }
 
         restore() {
+            if (this.isClosed()) return this.open();
+
             const wasMinimized = this.state.isMinimized;
             const wasMaximized = this.state.isMaximized;
 
+            // Already in its normal state - just bring it forward
+            if (!wasMinimized && !wasMaximized) {
+                FocusManager.focus(this);
+                return true;
+            }
+            if (!this._dispatch('window:beforerestore')) return false;
+
             this.state.isMinimized = false;
             this.state.isMaximized = false;
+            this.state.isClosed = false;
+
+            // A minimize animation still running ends here, before the restore starts
+            this._finishDockAnimation();
             this.element.classList.remove(this.classes.minimized);
             this.element.classList.remove(this.classes.maximized);
 
@@ -212,19 +1409,26 @@
                 this.element.style.transform = 'none';
             }
 
-            // Dispatch event
-            if (this.windowId) {
-                document.dispatchEvent(new CustomEvent('window:restore', {
-                    detail: { windowId: this.windowId }
-                }));
+            if (wasMinimized) {
+                this._animateDock('restore');
             }
 
-            if (this.onRestore) {
-                this.onRestore();
+            FocusManager.focus(this);
+            if (wasMinimized) {
+                this._focusElement();
             }
+            this._saveState();
+
+            this._dispatch('window:restore');
+            return true;
         }
 
         maximize() {
+            if (this.state.isMaximized) return false;
+            if (!this._dispatch('window:beforemaximize')) return false;
+
+            this._endKeyboardMode(true);
+
             // If minimized, restore first
             if (this.state.isMinimized) {
                 this.element.classList.remove(this.classes.minimized);
@@ -236,14 +1440,22 @@
             this.state.savedPosition = { x: rect.left, y: rect.top };
 
             this.state.isMaximized = true;
+            this.state.isClosed = false;
             this.element.classList.add(this.classes.maximized);
+            FocusManager.focus(this);
+            this._saveState();
 
-            if (this.onMaximize) {
-                this.onMaximize();
-            }
+            this._dispatch('window:maximize');
+            return true;
         }
 
         close() {
+            if (this.isClosed()) return false;
+            if (!this._dispatch('window:beforeclose')) return false;
+
+            this._endKeyboardMode(true);
+            const restoreFocus = this._prepareFocusReturn();
+
             // If maximized, restore first
             if (this.state.isMaximized) {
                 this.element.classList.remove(this.classes.maximized);
@@ -252,21 +1464,27 @@
 
             // Hide window (same visual effect as minimize)
             this.state.isMinimized = true;
+            this.state.isClosed = true;
             this.element.classList.add(this.classes.minimized);
-
-            // Reset position for next open (difference from minimize)
-            this.resetPosition();
-
-            // Dispatch close event (NOT minimize - different behavior)
-            if (this.windowId) {
-                document.dispatchEvent(new CustomEvent('window:close', {
-                    detail: { windowId: this.windowId }
-                }));
+            if (this.activeClass) {
+                this.element.classList.remove(this.activeClass);
             }
+            FocusManager.blur(this);
+            restoreFocus();
 
-            if (this.onClose) {
-                this.onClose();
+            // Reset position and size for next open (difference from minimize),
+            // unless the geometry is persisted - then the next open comes back in place
+            if (!this.persist) {
+                this.state.tiledZone = null;
+                this.state.preTileGeometry = null;
+                this.resetPosition();
+                this.resetSize();
             }
+            this._saveState();
+
+            // Close event (NOT minimize - different behavior)
+            this._dispatch('window:close');
+            return true;
         }
 
         // ================================
@@ -305,6 +1523,34 @@
             return this.state.isDragging;
         }
 
+        isResizing() {
+            return this.state.isResizing;
+        }
+
+        /**
+         * Shown on screen: not minimized/closed and carrying activeClass (if any)
+         */
+        isOpen() {
+            if (this.state.isMinimized) return false;
+            return !this.activeClass || this.element.classList.contains(this.activeClass);
+        }
+
+        /**
+         * Closed, or never shown (no activeClass yet). A minimized window is not closed.
+         */
+        isClosed() {
+            if (this.state.isClosed) return true;
+            return Boolean(this.activeClass) && !this.element.classList.contains(this.activeClass);
+        }
+
+        isFocused() {
+            return FocusManager.getFocused() === this;
+        }
+
+        isTiled() {
+            return this.state.tiledZone !== null;
+        }
+
         // ================================
         // Utility Methods
         // ================================
@@ -319,11 +1565,42 @@
             this.state.hasDragged = false;
         }
 
+        /**
+         * Apply an explicit size and notify listeners
+         * @param {number} width - Width in pixels
+         * @param {number} height - Height in pixels
+         */
+        setSize(width, height) {
+            this.element.style.width = width + 'px';
+            this.element.style.height = height + 'px';
+            this.element.style.maxWidth = 'none';
+            this.element.classList.add(this.classes.resized);
+
+            this._dispatch('window:resize', { width, height });
+        }
+
+        /**
+         * Drop any explicit size and return to the CSS default
+         */
+        resetSize() {
+            this.element.style.width = '';
+            this.element.style.height = '';
+            this.element.style.maxWidth = '';
+            this.element.classList.remove(this.classes.resized);
+        }
+
+        /**
+         * Raise the window above the others and make it the focused window
+         */
+        focus() {
+            FocusManager.focus(this);
+        }
+
         /**
          * Show the window (add visibility)
          */
         show() {
-            this.restore();
+            this.open();
         }
 
         /**
@@ -339,13 +1616,54 @@
 
         destroy() {
             if (this.titlebar) {
-                this.titlebar.removeEventListener('mousedown', this._boundOnMouseDown);
+                this.titlebar.removeEventListener('pointerdown', this._boundOnPointerDown);
             }
-            document.removeEventListener('mousemove', this._boundOnMouseMove);
-            document.removeEventListener('mouseup', this._boundOnMouseUp);
+            document.removeEventListener('pointermove', this._boundOnPointerMove);
+            document.removeEventListener('pointerup', this._boundOnPointerUp);
+            document.removeEventListener('pointercancel', this._boundOnPointerUp);
+            this.element.removeEventListener('pointerdown', this._boundOnFocusIn, true);
+            this.element.removeEventListener('focusin', this._boundOnFocusIn);
+
+            this.resizeHandles.forEach(handle => {
+                handle.removeEventListener('pointerdown', this._boundOnResizeStart);
+                handle.remove();
+            });
+            this.resizeHandles = [];
+
+            this._endKeyboardMode(true);
+            [...this._subscriptions].forEach(unsubscribe => unsubscribe());
+
+            FocusManager.unregister(this);
         }
     }
 
+    // ================================
+    // Viewport Resize / Orientation
+    // ================================
+
+    let viewportSize = { width: window.innerWidth, height: window.innerHeight };
+    let viewportFrame = null;
+
+    function fitWindowsToViewport() {
+        viewportFrame = null;
+        const previous = viewportSize;
+        viewportSize = { width: window.innerWidth, height: window.innerHeight };
+        if (previous.width === viewportSize.width && previous.height === viewportSize.height) return;
+
+        FocusManager.stack.forEach(manager => manager.fitToViewport(previous));
+    }
+
+    // One pass per frame, however many resize events fire
+    function scheduleViewportFit() {
+        if (viewportFrame === null) {
+            viewportFrame = requestAnimationFrame(fitWindowsToViewport);
+        }
+    }
+
+    window.addEventListener('resize', scheduleViewportFit);
+    window.matchMedia('(orientation: portrait)').addEventListener('change', scheduleViewportFit);
+
     // Expose to global scope
     window.WindowManager = WindowManager;
+    window.FocusManager = FocusManager;
 })();